@@ -0,0 +1,87 @@
+import TicketUrl from '../models/TicketUrl.js';
+import AlertRule from '../models/AlertRule.js';
+
+// Fields a client may set on a rule; bookkeeping fields are server-owned
+const EDITABLE_FIELDS = ['name', 'type', 'maxPrice', 'percent', 'sections', 'enabled', 'cooldownMinutes'];
+
+function pickEditable(body) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+function isValidationError(err) {
+  return err.name === 'ValidationError' || err.name === 'CastError';
+}
+
+export const AlertController = {
+  listAlerts: async (req, res) => {
+    const { id } = req.params;
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const rules = await AlertRule.find({ ticketUrl: ticketUrl._id }).sort({ createdAt: -1 });
+    res.json({ success: true, data: rules });
+  },
+
+  createAlert: async (req, res) => {
+    const { id } = req.params;
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      const rule = await AlertRule.create({
+        ...pickEditable(req.body),
+        ticketUrl: ticketUrl._id
+      });
+      res.status(201).json({ success: true, data: rule });
+    } catch (err) {
+      if (isValidationError(err)) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  getAlert: async (req, res) => {
+    const { id, alertId } = req.params;
+    const rule = await AlertRule.findOne({ _id: alertId, ticketUrl: id });
+    if (!rule) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true, data: rule });
+  },
+
+  updateAlert: async (req, res) => {
+    const { id, alertId } = req.params;
+    const rule = await AlertRule.findOne({ _id: alertId, ticketUrl: id });
+    if (!rule) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      rule.set(pickEditable(req.body));
+      await rule.save();
+      res.json({ success: true, data: rule });
+    } catch (err) {
+      if (isValidationError(err)) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  deleteAlert: async (req, res) => {
+    const { id, alertId } = req.params;
+    const rule = await AlertRule.findOneAndDelete({ _id: alertId, ticketUrl: id });
+    if (!rule) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true });
+  }
+};
@@ -0,0 +1,51 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { getAnalyticsSummary, getEventAnalytics, RANKINGS } from '../services/analytics.service.js';
+import { parseDuration } from '../utils/time.utils.js';
+
+export const AnalyticsController = {
+  // GET /:id/analytics?tiers=50,100,200
+  getEventAnalytics: async (req, res) => {
+    const { id } = req.params;
+    let tiers;
+    if (req.query.tiers) {
+      tiers = String(req.query.tiers).split(',').map(Number);
+      if (tiers.some((tier) => !Number.isFinite(tier) || tier <= 0)) {
+        return res.status(400).json({ error: 'Invalid tiers, expected e.g. 50,100,200' });
+      }
+    }
+
+    const ticketUrl = await TicketUrl.findById(id).select('eventId tickets lastChecked');
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      const data = await getEventAnalytics(ticketUrl, { tiers });
+      res.json({ success: true, data });
+    } catch (err) {
+      console.error('Failed to compute analytics:', err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  // GET /analytics?rank=priceDrop|inventoryChange&window=24h&limit=20
+  getSummary: async (req, res) => {
+    const rank = req.query.rank || 'priceDrop';
+    if (!RANKINGS.includes(rank)) {
+      return res.status(400).json({ error: `Invalid rank, expected one of: ${RANKINGS.join(', ')}` });
+    }
+    const windowMs = parseDuration(req.query.window || '24h');
+    if (!windowMs) {
+      return res.status(400).json({ error: 'Invalid window, expected e.g. 24h or 7d' });
+    }
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || 20, 200));
+
+    try {
+      const data = await getAnalyticsSummary({ rank, windowMs, limit });
+      res.json({ success: true, data });
+    } catch (err) {
+      console.error('Failed to compute analytics summary:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
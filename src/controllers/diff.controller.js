@@ -0,0 +1,25 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { diffTicketUrl } from '../services/diff.service.js';
+
+export const DiffController = {
+  // GET /:id/diff?from=<ts|runId>&to=<ts|runId>; `to` defaults to now
+  getDiff: async (req, res) => {
+    const { id } = req.params;
+    const { from, to } = req.query;
+    if (!from) {
+      return res.status(400).json({ error: 'from is required (timestamp or run id)' });
+    }
+
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      const diff = await diffTicketUrl(ticketUrl, { from, to });
+      res.json({ success: true, data: diff });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+};
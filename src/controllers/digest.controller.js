@@ -0,0 +1,56 @@
+import {
+  buildDigest,
+  getDigestPeriod,
+  renderDigestHtml,
+  renderDigestText,
+  sendDigest
+} from '../services/digest.service.js';
+import { parseTimestamp } from '../utils/time.utils.js';
+
+// Defaults to the last digest period when no range is given
+function parseRange(query) {
+  const until = query.to ? parseTimestamp(query.to) : new Date();
+  const since = query.from
+    ? parseTimestamp(query.from)
+    : new Date((until?.getTime() ?? Date.now()) - getDigestPeriod());
+  return { since, until };
+}
+
+export const DigestController = {
+  // GET /api/digest/preview?from=&to=&format=json|text|html
+  previewDigest: async (req, res) => {
+    const { since, until } = parseRange(req.query);
+    if (!since || !until) {
+      return res.status(400).json({ error: 'Invalid from/to timestamp' });
+    }
+
+    try {
+      const digest = await buildDigest(since, until);
+      if (req.query.format === 'html') {
+        return res.type('html').send(renderDigestHtml(digest));
+      }
+      if (req.query.format === 'text') {
+        return res.type('text').send(renderDigestText(digest));
+      }
+      res.json({ success: true, data: digest });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  // POST /api/digest/send - sends the digest immediately
+  sendDigest: async (req, res) => {
+    const { since, until } = parseRange(req.body || {});
+    if (!since || !until) {
+      return res.status(400).json({ error: 'Invalid from/to timestamp' });
+    }
+
+    try {
+      const { sent, messageId, digest } = await sendDigest(since, until);
+      res.json({ success: true, data: { sent, messageId, totals: digest.totals } });
+    } catch (err) {
+      console.error('Failed to send digest:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
@@ -0,0 +1,175 @@
+import TicketUrl from '../models/TicketUrl.js';
+import PriceHistory from '../models/PriceHistory.js';
+import {
+  CHANGE_COLUMNS,
+  FORMATS,
+  HISTORY_COLUMNS,
+  LISTING_COLUMNS,
+  streamExport
+} from '../services/export.service.js';
+import { buildTicketFilter, parseTicketSort } from '../services/ticketQuery.service.js';
+import { bucketSnapshots } from '../services/history.service.js';
+import { parseDuration, parseTimestamp } from '../utils/time.utils.js';
+
+const CHANGE_TYPES = TicketUrl.schema.path('changes').schema.path('type').enumValues;
+const LISTING_FIELDS = 'eventId url event tickets';
+
+function parseFormat(query) {
+  const format = query.format || 'csv';
+  return FORMATS[format] ? { format } : { error: `Invalid format, expected one of: ${Object.keys(FORMATS).join(', ')}` };
+}
+
+function parseRange(query) {
+  const from = parseTimestamp(query.from);
+  const to = parseTimestamp(query.to);
+  if ((query.from && !from) || (query.to && !to)) {
+    return { error: 'Invalid from/to timestamp' };
+  }
+  return { from, to };
+}
+
+const inRange = (timestamp, { from, to }) =>
+  (!from || timestamp >= from) && (!to || timestamp <= to);
+
+// Listing rows can be narrowed the same way the list endpoint matches events
+function listingRows(query) {
+  const maxPrice = query.maxPrice !== undefined ? parseFloat(query.maxPrice) : null;
+  return (ticketUrl) =>
+    (ticketUrl.tickets || []).filter((t) =>
+      (!query.section || t.section === query.section) &&
+      (maxPrice === null || (t.price != null && t.price <= maxPrice)));
+}
+
+async function sendExport(res, options) {
+  try {
+    await streamExport(res, options);
+  } catch (err) {
+    console.error('Export failed:', err);
+    // Once rows are on the wire the status can no longer change
+    if (res.headersSent) return res.destroy(err);
+    res.status(500).json({ error: err.message });
+  }
+}
+
+export const ExportController = {
+  // GET /export/listings?format=csv|ndjson|xlsx plus every getTickets filter
+  exportListings: async (req, res) => {
+    const { format, error: formatError } = parseFormat(req.query);
+    const { filter, error } = buildTicketFilter(req.query);
+    const { sortField, direction, error: sortError } = parseTicketSort(req.query.sort);
+    if (formatError || error || sortError) {
+      return res.status(400).json({ error: formatError || error || sortError });
+    }
+
+    const source = TicketUrl.find(filter)
+      .select(LISTING_FIELDS)
+      .sort({ [sortField]: direction, _id: direction })
+      .lean()
+      .cursor();
+    await sendExport(res, {
+      source,
+      rowsOf: listingRows(req.query),
+      columns: LISTING_COLUMNS,
+      format,
+      filename: 'listings'
+    });
+  },
+
+  // GET /:id/export/listings?format=&section=&maxPrice=
+  exportEventListings: async (req, res) => {
+    const { format, error } = parseFormat(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    if (req.query.maxPrice !== undefined && !Number.isFinite(parseFloat(req.query.maxPrice))) {
+      return res.status(400).json({ error: 'Invalid maxPrice' });
+    }
+
+    const ticketUrl = await TicketUrl.findById(req.params.id).select(LISTING_FIELDS).lean();
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    await sendExport(res, {
+      source: [ticketUrl],
+      rowsOf: listingRows(req.query),
+      columns: LISTING_COLUMNS,
+      format,
+      filename: `${ticketUrl.eventId}-listings`
+    });
+  },
+
+  // GET /:id/export/changes?format=&type=PRICE_CHANGE,ANOMALY&from=&to=
+  exportChanges: async (req, res) => {
+    const { format, error } = parseFormat(req.query);
+    const range = parseRange(req.query);
+    if (error || range.error) {
+      return res.status(400).json({ error: error || range.error });
+    }
+    const types = req.query.type ? String(req.query.type).split(',') : null;
+    if (types && types.some((type) => !CHANGE_TYPES.includes(type))) {
+      return res.status(400).json({ error: `Invalid type, expected one of: ${CHANGE_TYPES.join(', ')}` });
+    }
+
+    const ticketUrl = await TicketUrl.findById(req.params.id).select('eventId url event changes').lean();
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    await sendExport(res, {
+      source: [ticketUrl],
+      rowsOf: (doc) =>
+        (doc.changes || []).filter((c) =>
+          (!types || types.includes(c.type)) && inRange(c.timestamp, range)),
+      columns: CHANGE_COLUMNS,
+      format,
+      filename: `${ticketUrl.eventId}-changes`
+    });
+  },
+
+  // GET /:id/export/history?format=&section=&from=&to=&bucket=1h
+  exportHistory: async (req, res) => {
+    const { format, error } = parseFormat(req.query);
+    const range = parseRange(req.query);
+    if (error || range.error) {
+      return res.status(400).json({ error: error || range.error });
+    }
+    const { section, bucket } = req.query;
+    const bucketMs = bucket ? parseDuration(bucket) : null;
+    if (bucket && !bucketMs) {
+      return res.status(400).json({ error: 'Invalid bucket, expected e.g. 15m, 1h or 1d' });
+    }
+
+    const ticketUrl = await TicketUrl.findById(req.params.id).select('eventId');
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const query = { ticketUrl: ticketUrl._id };
+    if (range.from || range.to) {
+      query.timestamp = {};
+      if (range.from) query.timestamp.$gte = range.from;
+      if (range.to) query.timestamp.$lte = range.to;
+    }
+    if (section) {
+      query['sections.section'] = section;
+    }
+
+    const snapshots = PriceHistory.find(query).select('-tickets').sort({ timestamp: 1 }).lean().cursor();
+    // Bucketed rows are labelled with the bucket instead of the stored resolution
+    const source = bucketMs
+      ? (async function* () {
+          for await (const merged of bucketSnapshots(snapshots, bucketMs)) {
+            yield { ...merged, resolution: bucket };
+          }
+        })()
+      : snapshots;
+    await sendExport(res, {
+      source,
+      rowsOf: (snapshot) => snapshot.sections.filter((s) => !section || s.section === section),
+      columns: HISTORY_COLUMNS,
+      format,
+      filename: `${ticketUrl.eventId}-history`
+    });
+  }
+};
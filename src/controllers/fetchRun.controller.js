@@ -0,0 +1,46 @@
+import path from 'path';
+import TicketUrl from '../models/TicketUrl.js';
+import FetchRun from '../models/FetchRun.js';
+
+export const FetchRunController = {
+  // GET /:id/runs?outcome=&limit=
+  listRuns: async (req, res) => {
+    const { id } = req.params;
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const filter = { ticketUrl: ticketUrl._id };
+    if (req.query.outcome) filter.outcome = req.query.outcome;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 200);
+
+    const runs = await FetchRun.find(filter).sort({ startedAt: -1 }).limit(limit);
+    res.json({ success: true, data: runs });
+  },
+
+  getRun: async (req, res) => {
+    const { id, runId } = req.params;
+    const run = await FetchRun.findOne({ _id: runId, ticketUrl: id });
+    if (!run) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true, data: run });
+  },
+
+  // GET /:id/runs/:runId/artifacts/:index - serves the screenshot or JSON file
+  getArtifact: async (req, res) => {
+    const { id, runId, index } = req.params;
+    const run = await FetchRun.findOne({ _id: runId, ticketUrl: id });
+    const artifact = run?.artifacts[parseInt(index)];
+    if (!artifact) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    res.sendFile(path.resolve(artifact.path), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Artifact file no longer exists' });
+      }
+    });
+  }
+};
@@ -0,0 +1,54 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { buildHeatmap, MODES, renderHeatmapSvg } from '../services/heatmap.service.js';
+import { loadVenueMap } from '../services/venue.service.js';
+
+// Belt and braces on top of sanitizeSvg: the SVG response may not run anything
+export const SVG_CSP = "default-src 'none'; style-src 'unsafe-inline'";
+
+async function loadHeatmap(req, res) {
+  const mode = req.query.mode || 'price';
+  if (!MODES.includes(mode)) {
+    res.status(400).json({ error: `Invalid mode, expected one of: ${MODES.join(', ')}` });
+    return null;
+  }
+
+  const ticketUrl = await TicketUrl.findById(req.params.id).select('venue stadium tickets');
+  if (!ticketUrl) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  const map = await loadVenueMap(ticketUrl);
+  return { map, heatmap: buildHeatmap(map, ticketUrl.tickets, { mode }) };
+}
+
+export const HeatmapController = {
+  // GET /:id/stadium/heatmap?mode=price|availability - for clients drawing their own map
+  getHeatmap: async (req, res) => {
+    try {
+      const loaded = await loadHeatmap(req, res);
+      if (!loaded) return;
+      res.json({ success: true, data: loaded.heatmap });
+    } catch (err) {
+      console.error('Failed to build heatmap:', err);
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  // GET /:id/stadium/heatmap.svg?mode=price|availability
+  getHeatmapSvg: async (req, res) => {
+    try {
+      const loaded = await loadHeatmap(req, res);
+      if (!loaded) return;
+
+      const svg = renderHeatmapSvg(loaded.map?.svg, loaded.heatmap);
+      if (!svg) {
+        return res.status(404).json({ error: 'No venue map stored for this event' });
+      }
+      res.set('Content-Security-Policy', SVG_CSP);
+      res.type('image/svg+xml').send(svg);
+    } catch (err) {
+      console.error('Failed to render heatmap:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
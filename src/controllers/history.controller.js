@@ -0,0 +1,47 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { getHistory } from '../services/history.service.js';
+import { parseDuration, parseTimestamp } from '../utils/time.utils.js';
+
+export const HistoryController = {
+  // GET /:id/history?section=&from=&to=&bucket=1h
+  getHistory: async (req, res) => {
+    const { id } = req.params;
+    const { section, from, to, bucket } = req.query;
+
+    const fromDate = parseTimestamp(from);
+    const toDate = parseTimestamp(to);
+    if ((from && !fromDate) || (to && !toDate)) {
+      return res.status(400).json({ error: 'Invalid from/to timestamp' });
+    }
+
+    const bucketMs = bucket ? parseDuration(bucket) : null;
+    if (bucket && !bucketMs) {
+      return res.status(400).json({ error: 'Invalid bucket, expected e.g. 15m, 1h or 1d' });
+    }
+
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    try {
+      const series = await getHistory(ticketUrl._id, {
+        section,
+        from: fromDate,
+        to: toDate,
+        bucketMs
+      });
+      res.json({
+        success: true,
+        data: {
+          eventId: ticketUrl.eventId,
+          bucket: bucket || null,
+          series
+        }
+      });
+    } catch (err) {
+      console.error('Failed to load history:', err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
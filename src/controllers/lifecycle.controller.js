@@ -0,0 +1,26 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { applyTransition } from '../services/lifecycle.service.js';
+
+// POST /:id/pause | /:id/resume | /:id/archive
+const transition = (action) => async (req, res) => {
+  const ticketUrl = await TicketUrl.findById(req.params.id);
+  if (!ticketUrl) {
+    return res.status(404).json({ error: 'Not found' });
+  }
+
+  try {
+    await applyTransition(ticketUrl, action);
+    res.json({
+      success: true,
+      data: { id: ticketUrl._id, status: ticketUrl.status, statusChangedAt: ticketUrl.statusChangedAt }
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+  }
+};
+
+export const LifecycleController = {
+  pause: transition('pause'),
+  resume: transition('resume'),
+  archive: transition('archive')
+};
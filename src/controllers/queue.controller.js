@@ -0,0 +1,24 @@
+import { cancelJob, getJob, listJobs } from '../services/queue.service.js';
+
+export const QueueController = {
+  listJobs: async (req, res) => {
+    res.json({ success: true, data: listJobs() });
+  },
+
+  getJob: async (req, res) => {
+    const job = getJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true, data: job });
+  },
+
+  // Removes a queued job or aborts a running one
+  cancelJob: async (req, res) => {
+    const job = cancelJob(req.params.jobId);
+    if (!job) {
+      return res.status(404).json({ error: 'Not found or already finished' });
+    }
+    res.json({ success: true, data: job });
+  }
+};
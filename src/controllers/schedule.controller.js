@@ -0,0 +1,52 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { describeSchedule } from '../services/scheduler.service.js';
+
+export const ScheduleController = {
+  // GET /api/tickets/schedule - every TicketUrl in the order it will run
+  listSchedules: async (req, res) => {
+    const urls = await TicketUrl.find()
+      .select('url eventId event status schedule')
+      .sort({ 'schedule.nextRunAt': 1, 'schedule.priority': -1 });
+    res.json({ success: true, data: urls.map(describeSchedule) });
+  },
+
+  getSchedule: async (req, res) => {
+    const { id } = req.params;
+    const ticketUrl = await TicketUrl.findById(id).select('url eventId event status schedule');
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true, data: describeSchedule(ticketUrl) });
+  },
+
+  // PATCH /api/tickets/:id/schedule { intervalSeconds, priority, runNow }
+  updateSchedule: async (req, res) => {
+    const { id } = req.params;
+    const { intervalSeconds, priority, runNow } = req.body;
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (intervalSeconds !== undefined) {
+      ticketUrl.schedule.intervalSeconds = intervalSeconds;
+    }
+    if (priority !== undefined) {
+      ticketUrl.schedule.priority = priority;
+    }
+    if (runNow) {
+      ticketUrl.schedule.nextRunAt = new Date();
+      ticketUrl.schedule.consecutiveFailures = 0;
+    }
+
+    try {
+      await ticketUrl.save();
+      res.json({ success: true, data: describeSchedule(ticketUrl) });
+    } catch (err) {
+      if (err.name === 'ValidationError' || err.name === 'CastError') {
+        return res.status(400).json({ error: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  }
+};
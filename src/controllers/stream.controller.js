@@ -0,0 +1,28 @@
+import TicketUrl from '../models/TicketUrl.js';
+import { openStream } from '../services/stream.service.js';
+import { bearerToken, isValidToken } from '../utils/token.utils.js';
+
+// EventSource can't set headers, so ?token= is accepted as well
+const isAuthorized = (req) => isValidToken(bearerToken(req.get('Authorization')) || req.query.token);
+
+export const StreamController = {
+  // GET /api/stream - messages for every tracked event
+  streamAll: async (req, res) => {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    await openStream(req, res);
+  },
+
+  // GET /api/tickets/:id/stream
+  streamTicket: async (req, res) => {
+    if (!isAuthorized(req)) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+    const ticketUrl = await TicketUrl.findById(req.params.id).select('eventId');
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    await openStream(req, res, { ticketUrlId: ticketUrl._id.toString(), eventId: ticketUrl.eventId });
+  }
+};
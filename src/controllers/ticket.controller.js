@@ -1,41 +1,187 @@
 import TicketUrl from '../models/TicketUrl.js';
-import { fetchAvailableTickets } from '../services/ticketmaster.service.js';
+import PriceHistory from '../models/PriceHistory.js';
+import FetchRun from '../models/FetchRun.js';
+import AlertRule from '../models/AlertRule.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import ChangeLog from '../models/ChangeLog.js';
 import { autoCartTicketmaster } from '../services/cart.service.js';
+import { cancelJobsFor, submitFetch } from '../services/queue.service.js';
+import { buildTicketFilter, normalizeTags, parseTicketSort } from '../services/ticketQuery.service.js';
+import { loadVenueMap } from '../services/venue.service.js';
+import { parseCsv, parseCsvRecords } from '../utils/csv.utils.js';
+import { canonicalizeUrl, SUPPORTED_DOMAINS } from '../utils/url.utils.js';
+import { cursorFilter, decodeCursor, encodeCursor } from '../utils/pagination.utils.js';
 
-const TICKETMASTER_URL_REGEX = /^https:\/\/www\.ticketmaster\.com\/.+\/event\/[A-Z0-9]+$/;
+const SUPPORTED_SITES = Object.keys(SUPPORTED_DOMAINS).join(', ');
 
-export const TicketController = {
-  addUrl: async (req, res) => {
-    const { url } = req.body;
+// Left out of list responses unless named in ?include=
+const HEAVY_FIELDS = {
+  tickets: ['tickets'],
+  changes: ['changes'],
+  stadium: ['stadium.image', 'stadium.layout'],
+  networkData: ['metadata.lastNetworkData']
+};
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+const MAX_IMPORT_ROWS = 500;
+
+// Validates one { url, tags, notes } entry. Returns { error } or the fields to store,
+// with the URL in canonical form.
+function parseUrlEntry({ url, tags, notes } = {}) {
+  const canonical = canonicalizeUrl(typeof url === 'string' ? url : '');
+  if (!canonical) {
+    return { error: `Invalid event URL, expected an /event/ID page on ${SUPPORTED_SITES}` };
+  }
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return { error: 'notes must be a string' };
+  }
+
+  return { ...canonical, tags: normalizeTags(tags), notes: notes || '' };
+}
+
+// The same event on the same site is tracked once, whatever slug or query string
+// it was added with. Documents from before domains were stored are ticketmaster.com.
+function findTracked({ domain, eventId }) {
+  return TicketUrl.findOne({
+    eventId,
+    domain: domain === 'ticketmaster.com' ? { $in: [domain, null] } : domain
+  });
+}
+
+// Returns { ticketUrl, created }. Two adds of the same event racing past findTracked
+// are settled by the unique { domain, eventId } index: the loser gets the winner's document.
+async function findOrCreateTracked(entry, fields = entry) {
+  const existing = await findTracked(entry);
+  if (existing) return { ticketUrl: existing, created: false };
+  try {
+    return { ticketUrl: await TicketUrl.create(fields), created: true };
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    return { ticketUrl: await findTracked(entry), created: false };
+  }
+}
 
-    if (!TICKETMASTER_URL_REGEX.test(url)) {
-      return res.status(400).json({ error: 'Invalid Ticketmaster URL' });
+// Import bodies: text/csv, { csv }, [url | { url, tags, notes }] or { urls: [...] }.
+// CSV may have a url,tags,notes header; without one the columns are taken in that order.
+function readImportEntries(req) {
+  const body = req.body;
+  const csv = typeof body === 'string' ? body : typeof body?.csv === 'string' ? body.csv : null;
+
+  if (csv !== null) {
+    const rows = parseCsv(csv);
+    if (rows.length > 0 && /^https?:/i.test(rows[0][0].trim())) {
+      return rows.map(([url, tags, notes]) => ({ url, tags, notes: notes?.trim() }));
     }
+    return parseCsvRecords(csv);
+  }
 
-    const eventIdMatch = url.match(/event\/([A-Z0-9]+)/i);
-    const eventId = eventIdMatch ? eventIdMatch[1] : null;
+  const list = Array.isArray(body) ? body : body?.urls;
+  if (!Array.isArray(list)) return null;
+  return list.map((entry) => (typeof entry === 'string' ? { url: entry } : entry));
+}
 
-    if (!eventId) {
-      return res.status(400).json({ error: 'Could not extract event ID from URL' });
+export const TicketController = {
+  addUrl: async (req, res) => {
+    const entry = parseUrlEntry(req.body);
+    if (entry.error) {
+      return res.status(400).json({ error: entry.error });
     }
 
-    let ticketUrl = await TicketUrl.findOne({ url });
-    if (!ticketUrl) {
-      ticketUrl = await TicketUrl.create({
-        url,
-        eventId,
+    try {
+      const { ticketUrl } = await findOrCreateTracked(entry, {
+        ...entry,
         metadata: {
           fetchCount: 0,
           lastSuccessfulFetch: null
         }
       });
+      res.json({ success: true, ticketUrl });
+    } catch (err) {
+      console.error('Failed to add URL:', err);
+      res.status(500).json({ error: err.message });
     }
-    res.json({ success: true, ticketUrl });
   },
 
+  // POST /import - validates and adds each row, reporting per-row results
+  importUrls: async (req, res) => {
+    const entries = readImportEntries(req);
+    if (!entries) {
+      return res.status(400).json({ error: 'Expected a list of URLs, { urls }, { csv } or a text/csv body' });
+    }
+    if (entries.length > MAX_IMPORT_ROWS) {
+      return res.status(400).json({ error: `At most ${MAX_IMPORT_ROWS} rows per import` });
+    }
+
+    const results = [];
+    const seen = new Set();
+    for (const [index, raw] of entries.entries()) {
+      const row = index + 1;
+      const entry = parseUrlEntry(raw);
+      if (entry.error) {
+        results.push({ row, url: raw?.url ?? null, status: 'error', error: entry.error });
+        continue;
+      }
+      const key = `${entry.domain}/${entry.eventId}`;
+      if (seen.has(key)) {
+        results.push({ row, url: entry.url, status: 'error', error: 'Duplicate of an earlier row' });
+        continue;
+      }
+      seen.add(key);
+
+      try {
+        const { ticketUrl, created } = await findOrCreateTracked(entry);
+        results.push({ row, url: entry.url, status: created ? 'created' : 'exists', id: ticketUrl._id });
+      } catch (err) {
+        results.push({ row, url: entry.url, status: 'error', error: err.message });
+      }
+    }
+
+    const count = (status) => results.filter((result) => result.status === status).length;
+    res.json({
+      success: true,
+      data: { created: count('created'), existing: count('exists'), failed: count('error'), results }
+    });
+  },
+
+  // GET /?status=&tag=&venue=&city=&eventFrom=&eventTo=&past=&maxPrice=
+  //      &sort=lastChecked|minPrice|eventDate|venue (prefix "-" for descending)
+  //      &limit=&cursor=&include=tickets,changes,stadium,networkData
   getTickets: async (req, res) => {
-    const urls = await TicketUrl.find().sort({ lastChecked: -1 });
-    res.json({ success: true, data: urls });
+    const { cursor } = req.query;
+    const { filter, error } = buildTicketFilter(req.query);
+    const { sortField, direction, error: sortError } = parseTicketSort(req.query.sort);
+    if (error || sortError) {
+      return res.status(400).json({ error: error || sortError });
+    }
+
+    const conditions = [filter];
+    if (cursor) {
+      const key = decodeCursor(cursor);
+      if (!key) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+      }
+      conditions.push(cursorFilter(sortField, direction, key));
+    }
+
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE));
+    const include = String(req.query.include || '').split(',');
+    const projection = Object.entries(HEAVY_FIELDS)
+      .filter(([name]) => !include.includes(name))
+      .flatMap(([, paths]) => paths.map((path) => `-${path}`));
+
+    // One extra row tells whether there is a next page
+    const urls = await TicketUrl.find(conditions.length > 1 ? { $and: conditions } : filter)
+      .select(projection.join(' '))
+      .sort({ [sortField]: direction, _id: direction })
+      .limit(limit + 1);
+
+    const page = urls.slice(0, limit);
+    const last = page[page.length - 1];
+    const nextCursor = urls.length > limit ? encodeCursor(last.get(sortField), last._id) : null;
+    res.json({ success: true, data: page, nextCursor });
   },
 
   getTicketById: async (req, res) => {
@@ -47,16 +193,87 @@ export const TicketController = {
     res.json({ success: true, data: ticketUrl });
   },
 
-  getStadiumData: async (req, res) => {
+  // PATCH /:id { tags, notes, anomalySensitivity }
+  updateTicketUrl: async (req, res) => {
+    const { id } = req.params;
+    const { tags, notes, anomalySensitivity } = req.body;
+    const ticketUrl = await TicketUrl.findById(id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    if (tags !== undefined) ticketUrl.tags = normalizeTags(tags);
+    if (notes !== undefined) ticketUrl.notes = notes;
+    if (anomalySensitivity !== undefined) ticketUrl.anomalySensitivity = anomalySensitivity;
+
+    try {
+      await ticketUrl.save();
+      res.json({ success: true, data: ticketUrl });
+    } catch (err) {
+      if (err.name === 'ValidationError' || err.name === 'CastError') {
+        return res.status(400).json({ error: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  // DELETE /:id - removes the URL with its history, runs, alerts and scoped webhooks.
+  // Use POST /:id/archive to stop tracking but keep the data.
+  deleteTicketUrl: async (req, res) => {
     const { id } = req.params;
     const ticketUrl = await TicketUrl.findById(id);
     if (!ticketUrl) {
       return res.status(404).json({ error: 'Not found' });
     }
+
+    try {
+      cancelJobsFor(ticketUrl._id);
+      const filter = { ticketUrl: ticketUrl._id };
+      const webhookIds = await Webhook.find(filter).distinct('_id');
+      const [history, runs, alerts, webhooks] = await Promise.all([
+        PriceHistory.deleteMany(filter),
+        FetchRun.deleteMany(filter),
+        AlertRule.deleteMany(filter),
+        Webhook.deleteMany(filter),
+        WebhookDelivery.deleteMany({ webhook: { $in: webhookIds } }),
+        ChangeLog.deleteMany(filter)
+      ]);
+      await ticketUrl.deleteOne();
+
+      res.json({
+        success: true,
+        data: {
+          id: ticketUrl._id,
+          deleted: {
+            history: history.deletedCount,
+            runs: runs.deletedCount,
+            alerts: alerts.deletedCount,
+            webhooks: webhooks.deletedCount
+          }
+        }
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  // Keeps the old { stadium: { image, layout } } shape, now read from the shared Venue
+  getStadiumData: async (req, res) => {
+    const { id } = req.params;
+    const ticketUrl = await TicketUrl.findById(id).select('venue stadium');
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const map = await loadVenueMap(ticketUrl);
     res.json({
       success: true,
       data: {
-        stadium: ticketUrl.stadium,
+        venueId: map?.venue?.venueId || null,
+        stadium: {
+          image: map?.svg || null,
+          layout: map?.sections || [],
+          lastUpdated: ticketUrl.stadium?.lastUpdated
+        },
         lastUpdated: ticketUrl.stadium?.lastUpdated
       }
     });
@@ -85,42 +302,14 @@ export const TicketController = {
     }
 
     try {
-      const { tickets, stadiumData, networkData } = await fetchAvailableTickets(ticketUrl.url);
-
-      // Update ticket data
-      ticketUrl.tickets = tickets;
-      ticketUrl.lastChecked = new Date();
-
-      // Update stadium data if available
-      if (stadiumData) {
-        ticketUrl.stadium = {
-          ...ticketUrl.stadium,
-          ...stadiumData,
-          lastUpdated: new Date()
-        };
-      }
-
-      // Track changes
-      if (networkData) {
-        const changes = detectChanges(ticketUrl.metadata.lastNetworkData, networkData);
-        if (changes.length > 0) {
-          ticketUrl.changes.push(...changes);
-          // Keep only last 100 changes
-          if (ticketUrl.changes.length > 100) {
-            ticketUrl.changes = ticketUrl.changes.slice(-100);
-          }
-        }
-        ticketUrl.metadata.lastNetworkData = networkData;
-      }
-
-      ticketUrl.metadata.lastSuccessfulFetch = new Date();
-      ticketUrl.metadata.fetchCount += 1;
-
-      await ticketUrl.save();
-      res.json({ success: true, data: ticketUrl });
+      // Joins the running job if this event is already being fetched
+      const job = submitFetch(ticketUrl, { source: 'manual' });
+      const { ticketUrl: updated } = await job.promise;
+      res.json({ success: true, data: updated, jobId: job.id });
     } catch (err) {
       console.error('Failed to update tickets:', err);
-      res.status(500).json({ error: err.message });
+      const status = { FETCH_TIMEOUT: 504, FETCH_CANCELLED: 409 }[err.code] || 500;
+      res.status(status).json({ error: err.message });
     }
   },
 
@@ -139,46 +328,3 @@ export const TicketController = {
     }
   }
 };
-
-// Helper function to detect changes in ticket data
-function detectChanges(oldData, newData) {
-  if (!oldData) return [];
-
-  const changes = [];
-
-  // Compare ticket prices and availability
-  if (oldData.tickets && newData.tickets) {
-    const oldTickets = new Map(oldData.tickets.map(t => [t.sectionRow, t]));
-    const newTickets = new Map(newData.tickets.map(t => [t.sectionRow, t]));
-
-    // Check for price changes
-    for (const [sectionRow, newTicket] of newTickets) {
-      const oldTicket = oldTickets.get(sectionRow);
-      if (oldTicket && oldTicket.price !== newTicket.price) {
-        changes.push({
-          type: 'PRICE_CHANGE',
-          details: {
-            sectionRow,
-            oldPrice: oldTicket.price,
-            newPrice: newTicket.price
-          }
-        });
-      }
-    }
-
-    // Check for new sections
-    for (const [sectionRow, newTicket] of newTickets) {
-      if (!oldTickets.has(sectionRow)) {
-        changes.push({
-          type: 'NEW_SECTION',
-          details: {
-            sectionRow,
-            price: newTicket.price
-          }
-        });
-      }
-    }
-  }
-
-  return changes;
-}
\ No newline at end of file
@@ -0,0 +1,30 @@
+import Venue from '../models/Venue.js';
+import { SVG_CSP } from './heatmap.controller.js';
+
+// Accepts the Ticketmaster venue id or the document _id
+function findVenue(id) {
+  return /^[a-f0-9]{24}$/i.test(id)
+    ? Venue.findOne({ $or: [{ _id: id }, { venueId: id }] })
+    : Venue.findOne({ venueId: id });
+}
+
+export const VenueController = {
+  // GET /api/venues/:id - sanitized SVG and section geometry
+  getVenue: async (req, res) => {
+    const venue = await findVenue(req.params.id);
+    if (!venue) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true, data: venue });
+  },
+
+  // GET /api/venues/:id/map.svg
+  getVenueMap: async (req, res) => {
+    const venue = await findVenue(req.params.id);
+    if (!venue?.svg) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.set('Content-Security-Policy', SVG_CSP);
+    res.type('image/svg+xml').send(venue.svg);
+  }
+};
@@ -0,0 +1,158 @@
+import TicketUrl from '../models/TicketUrl.js';
+import Webhook from '../models/Webhook.js';
+import WebhookDelivery from '../models/WebhookDelivery.js';
+import { generateSecret, sendTestDelivery } from '../services/webhook.service.js';
+
+const EDITABLE_FIELDS = ['url', 'events', 'description', 'enabled'];
+
+function pickEditable(body) {
+  const fields = {};
+  for (const key of EDITABLE_FIELDS) {
+    if (body[key] !== undefined) fields[key] = body[key];
+  }
+  return fields;
+}
+
+function isValidUrl(value) {
+  try {
+    const { protocol } = new URL(value);
+    return protocol === 'http:' || protocol === 'https:';
+  } catch {
+    return false;
+  }
+}
+
+function isValidationError(err) {
+  return err.name === 'ValidationError' || err.name === 'CastError';
+}
+
+async function createWebhook(res, body, ticketUrl) {
+  if (!isValidUrl(body.url)) {
+    return res.status(400).json({ error: 'Invalid webhook URL' });
+  }
+
+  try {
+    const secret = body.secret || generateSecret();
+    const webhook = await Webhook.create({
+      ...pickEditable(body),
+      secret,
+      ticketUrl: ticketUrl ? ticketUrl._id : null,
+      eventId: ticketUrl ? ticketUrl.eventId : null
+    });
+    // The secret is only ever returned here
+    res.status(201).json({ success: true, data: { ...webhook.toObject(), secret } });
+  } catch (err) {
+    if (isValidationError(err)) {
+      return res.status(400).json({ error: err.message });
+    }
+    res.status(500).json({ error: err.message });
+  }
+}
+
+export const WebhookController = {
+  listWebhooks: async (req, res) => {
+    const filter = {};
+    if (req.query.ticketUrl) filter.ticketUrl = req.query.ticketUrl;
+    const webhooks = await Webhook.find(filter).sort({ createdAt: -1 });
+    res.json({ success: true, data: webhooks });
+  },
+
+  // Global subscription unless a ticketUrlId is given
+  createWebhook: async (req, res) => {
+    let ticketUrl = null;
+    if (req.body.ticketUrlId) {
+      ticketUrl = await TicketUrl.findById(req.body.ticketUrlId);
+      if (!ticketUrl) {
+        return res.status(404).json({ error: 'TicketUrl not found' });
+      }
+    }
+    return createWebhook(res, req.body, ticketUrl);
+  },
+
+  // POST /api/tickets/:id/webhooks
+  createTicketWebhook: async (req, res) => {
+    const ticketUrl = await TicketUrl.findById(req.params.id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    return createWebhook(res, req.body, ticketUrl);
+  },
+
+  // GET /api/tickets/:id/webhooks
+  listTicketWebhooks: async (req, res) => {
+    const ticketUrl = await TicketUrl.findById(req.params.id);
+    if (!ticketUrl) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    const webhooks = await Webhook.find({ ticketUrl: ticketUrl._id }).sort({ createdAt: -1 });
+    res.json({ success: true, data: webhooks });
+  },
+
+  getWebhook: async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    res.json({ success: true, data: webhook });
+  },
+
+  updateWebhook: async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (req.body.url !== undefined && !isValidUrl(req.body.url)) {
+      return res.status(400).json({ error: 'Invalid webhook URL' });
+    }
+
+    try {
+      webhook.set(pickEditable(req.body));
+      await webhook.save();
+      res.json({ success: true, data: webhook });
+    } catch (err) {
+      if (isValidationError(err)) {
+        return res.status(400).json({ error: err.message });
+      }
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  deleteWebhook: async (req, res) => {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    await WebhookDelivery.deleteMany({ webhook: webhook._id });
+    res.json({ success: true });
+  },
+
+  testWebhook: async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    try {
+      const delivery = await sendTestDelivery(webhook);
+      res.json({ success: true, data: delivery });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+
+  // GET /api/webhooks/:id/deliveries?status=&limit=
+  getDeliveries: async (req, res) => {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+
+    const filter = { webhook: webhook._id };
+    if (req.query.status) filter.status = req.query.status;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit);
+    res.json({ success: true, data: deliveries });
+  }
+};
@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// A user-defined condition checked after every fetch of its TicketUrl.
+//   PRICE_BELOW   - any listing priced under `maxPrice`
+//   PRICE_DROP    - a section's lowest price drops by at least `percent`
+//   NEW_LISTING   - new listings appear
+// `sections` narrows any rule to specific sections; entries are either an
+// exact section ("112") or a numeric range ("100-199" for a lower bowl).
+const AlertRuleSchema = new mongoose.Schema({
+  ticketUrl: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketUrl', required: true },
+  name: { type: String, default: '' },
+  type: { type: String, enum: ['PRICE_BELOW', 'PRICE_DROP', 'NEW_LISTING'], required: true },
+  maxPrice: {
+    type: Number,
+    min: 0,
+    required: function () { return this.type === 'PRICE_BELOW'; }
+  },
+  percent: {
+    type: Number,
+    min: 0,
+    max: 100,
+    required: function () { return this.type === 'PRICE_DROP'; }
+  },
+  sections: { type: [String], default: [] },
+  enabled: { type: Boolean, default: true },
+  cooldownMinutes: { type: Number, default: 30, min: 0 },
+  lastFiredAt: { type: Date, default: null },
+  fireCount: { type: Number, default: 0 },
+  firings: [{
+    timestamp: { type: Date, default: Date.now },
+    matches: { type: Array, default: [] }
+  }],
+  createdAt: { type: Date, default: Date.now }
+});
+
+AlertRuleSchema.index({ ticketUrl: 1, enabled: 1 });
+
+export default mongoose.model('AlertRule', AlertRuleSchema);
@@ -0,0 +1,18 @@
+import mongoose from 'mongoose';
+
+const CHANGE_LOG_TTL_DAYS = parseInt(process.env.CHANGE_LOG_TTL_DAYS) || 30;
+
+// Every detected change, kept for reporting. TicketUrl.changes only holds
+// the latest 100 per event, which a busy event fills within hours.
+const ChangeLogSchema = new mongoose.Schema({
+  ticketUrl: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketUrl', required: true },
+  eventId: { type: String, required: true },
+  timestamp: { type: Date, default: Date.now },
+  type: { type: String, enum: ['PRICE_CHANGE', 'AVAILABILITY_CHANGE', 'NEW_SECTION', 'ANOMALY'] },
+  details: { type: Object }
+});
+
+ChangeLogSchema.index({ ticketUrl: 1, timestamp: 1 });
+ChangeLogSchema.index({ timestamp: 1 }, { expireAfterSeconds: CHANGE_LOG_TTL_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('ChangeLog', ChangeLogSchema);
@@ -0,0 +1,37 @@
+import mongoose from 'mongoose';
+
+const RUN_TTL_DAYS = parseInt(process.env.FETCH_RUN_TTL_DAYS) || 30;
+
+// One fetchAvailableTickets invocation and the steps it got through
+const FetchRunSchema = new mongoose.Schema({
+  ticketUrl: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketUrl', required: true },
+  eventId: { type: String, required: true },
+  url: { type: String },
+  jobId: { type: String },
+  source: { type: String }, // 'poller' or 'manual'
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date, default: null },
+  durationMs: { type: Number, default: null },
+  // null while the run is still in progress
+  outcome: { type: String, enum: ['success', 'empty', 'blocked', 'timeout', 'error', null], default: null },
+  error: { type: String, default: null },
+  listingCount: { type: Number, default: 0 },
+  steps: [{
+    name: { type: String }, // navigation, bot_check, accept_modal, stadium_extraction, network_capture, dom_extraction
+    status: { type: String, enum: ['running', 'ok', 'failed'] },
+    startedAt: { type: Date },
+    finishedAt: { type: Date },
+    message: { type: String, default: null }
+  }],
+  artifacts: [{
+    type: { type: String, enum: ['screenshot', 'json'] },
+    path: { type: String },
+    label: { type: String },
+    createdAt: { type: Date, default: Date.now }
+  }]
+});
+
+FetchRunSchema.index({ ticketUrl: 1, startedAt: -1 });
+FetchRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: RUN_TTL_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('FetchRun', FetchRunSchema);
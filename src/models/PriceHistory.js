@@ -0,0 +1,31 @@
+import mongoose from 'mongoose';
+
+// Per-section price summary at one point in time
+const SectionSnapshotSchema = new mongoose.Schema({
+  section: { type: String },
+  min: { type: Number },
+  median: { type: Number },
+  max: { type: Number },
+  listings: { type: Number, default: 0 },
+  quantity: { type: Number, default: null }
+}, { _id: false });
+
+// One document per successful fetch ('raw'), later compacted into
+// hourly and daily documents by the retention job in history.service.js
+const PriceHistorySchema = new mongoose.Schema({
+  ticketUrl: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketUrl', required: true },
+  eventId: { type: String, required: true },
+  fetchRun: { type: mongoose.Schema.Types.ObjectId, ref: 'FetchRun', default: null },
+  timestamp: { type: Date, default: Date.now },
+  resolution: { type: String, enum: ['raw', '1h', '1d'], default: 'raw' },
+  samples: { type: Number, default: 1 }, // Raw snapshots merged into this one
+  listingCount: { type: Number, default: 0 },
+  sections: { type: [SectionSnapshotSchema], default: [] },
+  tickets: { type: Array, default: [] } // Full inventory, raw snapshots only
+});
+
+PriceHistorySchema.index({ ticketUrl: 1, timestamp: 1 });
+PriceHistorySchema.index({ resolution: 1, timestamp: 1 });
+PriceHistorySchema.index({ fetchRun: 1 }, { sparse: true });
+
+export default mongoose.model('PriceHistory', PriceHistorySchema);
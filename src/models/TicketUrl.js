@@ -1,29 +1,107 @@
 import mongoose from 'mongoose';
 
+// A single scraped listing with its descriptor and price parsed into typed fields
+const TicketSchema = new mongoose.Schema({
+  listingId: { type: String }, // Stable identity across polls, see listing.utils.js
+  sectionRow: { type: String, default: '' }, // Original descriptor text
+  section: { type: String, default: null },
+  row: { type: String, default: null },
+  seatFrom: { type: Number, default: null },
+  seatTo: { type: Number, default: null },
+  quantity: { type: Number, default: null },
+  type: { type: String, default: '' },
+  price: { type: Number, default: null }, // Numeric amount, e.g. 1245.5
+  currency: { type: String, default: null }, // ISO 4217 code, e.g. USD
+  perTicket: { type: Boolean, default: true }, // false when the price is a total
+  feesIncluded: { type: Boolean, default: false },
+  priceText: { type: String, default: '' }, // Original button text
+  source: { type: String, enum: ['dom', 'network'], default: 'dom' }, // Where the listing was read from
+  timestamp: { type: Date, default: Date.now }
+}, { _id: false });
+
 const TicketUrlSchema = new mongoose.Schema({
-  url: { type: String, required: true, unique: true },
+  url: { type: String, required: true, unique: true }, // Canonical form, see canonicalizeUrl
+  domain: { type: String, default: 'ticketmaster.com' }, // Key of SUPPORTED_DOMAINS in url.utils.js
   eventId: { type: String, required: true },
+  // Lifecycle, see lifecycle.service.js. Only active events are polled
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'archived', 'expired'],
+    default: 'active'
+  },
+  statusChangedAt: { type: Date, default: null },
+  tags: { type: [String], default: [] }, // Lowercased, see normalizeTags in ticketQuery.service.js
+  notes: { type: String, default: '', maxlength: 2000 },
+  // See SENSITIVITY in anomaly.service.js
+  anomalySensitivity: { type: String, enum: ['off', 'low', 'medium', 'high'], default: 'medium' },
+  // Event details read from the event page, see extractEventFromHtml
+  event: {
+    name: { type: String, default: null },
+    date: { type: Date, default: null },
+    venue: { type: String, default: null },
+    venueId: { type: String, default: null },
+    city: { type: String, default: null },
+    region: { type: String, default: null },
+    country: { type: String, default: null },
+    onSaleStatus: {
+      type: String,
+      enum: ['onsale', 'offsale', 'presale', 'soldout', 'cancelled', 'postponed', 'unknown', null],
+      default: null
+    },
+    lastUpdated: { type: Date, default: null }
+  },
   lastChecked: { type: Date, default: Date.now },
-  tickets: { type: Array, default: [] },
+  tickets: { type: [TicketSchema], default: [] },
+  // Derived from `tickets` on every fetch so lists can filter and sort without them
+  summary: {
+    listingCount: { type: Number, default: 0 },
+    minPrice: { type: Number, default: null },
+    currency: { type: String, default: null }
+  },
+  venue: { type: mongoose.Schema.Types.ObjectId, ref: 'Venue', default: null }, // Map and section geometry
   stadium: {
-    image: { type: String }, // Base64 or URL of stadium image
-    layout: { type: Object }, // Stadium layout data
-    lastUpdated: { type: Date }
+    image: { type: String }, // Legacy: map markup embedded before venues were stored
+    layout: { type: Object }, // Legacy: section list, now Venue.sections
+    lastUpdated: { type: Date } // Last fetch that found the map
   },
   changes: [{
     timestamp: { type: Date, default: Date.now },
-    type: { type: String, enum: ['PRICE_CHANGE', 'AVAILABILITY_CHANGE', 'NEW_SECTION'] },
+    type: { type: String, enum: ['PRICE_CHANGE', 'AVAILABILITY_CHANGE', 'NEW_SECTION', 'ANOMALY'] },
     details: { type: Object }
   }],
   metadata: {
     lastNetworkData: { type: Object },
     lastSuccessfulFetch: { type: Date },
     fetchCount: { type: Number, default: 0 }
+  },
+  // Per-URL polling state, maintained by scheduler.service.js
+  schedule: {
+    intervalSeconds: { type: Number, default: null, min: 30 }, // null = POLL_DEFAULT_INTERVAL
+    priority: { type: Number, default: 0 }, // Higher runs first when several are due
+    nextRunAt: { type: Date, default: Date.now },
+    lastRunAt: { type: Date, default: null },
+    lastOutcome: { type: String, enum: ['success', 'empty', 'failed', null], default: null },
+    consecutiveFailures: { type: Number, default: 0 }
   }
 });
 
 // Index for faster queries
 TicketUrlSchema.index({ eventId: 1 });
+// One document per event and site, see findTracked in ticket.controller.js
+TicketUrlSchema.index({ domain: 1, eventId: 1 }, { unique: true });
 TicketUrlSchema.index({ lastChecked: 1 });
+TicketUrlSchema.index({ 'schedule.nextRunAt': 1, 'schedule.priority': -1 });
+TicketUrlSchema.index({ 'event.date': 1 });
+TicketUrlSchema.index({ 'event.venue': 1 });
+TicketUrlSchema.index({ venue: 1 });
+TicketUrlSchema.index({ status: 1, 'event.date': 1 });
+TicketUrlSchema.index({ tags: 1 });
+TicketUrlSchema.index({ 'summary.minPrice': 1 });
+
+// Events whose date has passed, candidates for archiving
+TicketUrlSchema.virtual('isPast').get(function () {
+  return Boolean(this.event?.date && this.event.date.getTime() < Date.now());
+});
+TicketUrlSchema.set('toJSON', { virtuals: true });
 
 export default mongoose.model('TicketUrl', TicketUrlSchema);
\ No newline at end of file
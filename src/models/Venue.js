@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// A venue map shared by every event held there, see venue.service.js
+const VenueSchema = new mongoose.Schema({
+  // Ticketmaster venue id, or "map-<hash>" when the event page didn't show one
+  venueId: { type: String, required: true, unique: true },
+  name: { type: String, default: null },
+  city: { type: String, default: null },
+  svg: { type: String, default: null }, // Sanitized venue map, see sanitizeSvg
+  viewBox: { type: String, default: null },
+  mapHash: { type: String, default: null }, // sha1 of `svg`, skips identical rewrites
+  sections: [{
+    id: { type: String }, // data-section-id in the map
+    name: { type: String, default: null },
+    key: { type: String }, // sectionKey(name), what listings are joined on
+    path: { type: String, default: null }, // Shapes as one SVG path in map coordinates
+    coordinates: { type: String, default: null },
+    _id: false
+  }],
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+});
+
+export default mongoose.model('Venue', VenueSchema);
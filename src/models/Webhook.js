@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Outbound subscription. Without a ticketUrl it receives events for every
+// tracked event; with one, only events for that TicketUrl.
+const WebhookSchema = new mongoose.Schema({
+  url: { type: String, required: true },
+  secret: { type: String, required: true, select: false }, // HMAC key, shown once on create
+  ticketUrl: { type: mongoose.Schema.Types.ObjectId, ref: 'TicketUrl', default: null },
+  eventId: { type: String, default: null },
+  events: {
+    type: [{ type: String, enum: ['ticketUpdate', 'changes', 'alert'] }],
+    default: ['changes', 'alert']
+  },
+  description: { type: String, default: '' },
+  enabled: { type: Boolean, default: true },
+  createdAt: { type: Date, default: Date.now }
+});
+
+WebhookSchema.index({ enabled: 1, eventId: 1 });
+WebhookSchema.index({ enabled: 1, ticketUrl: 1 });
+
+export default mongoose.model('Webhook', WebhookSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+const DELIVERY_TTL_DAYS = parseInt(process.env.WEBHOOK_DELIVERY_TTL_DAYS) || 30;
+
+// One delivery of one event to one webhook, including its retry state
+const WebhookDeliverySchema = new mongoose.Schema({
+  webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+  event: { type: String, required: true },
+  payload: { type: Object },
+  status: { type: String, enum: ['pending', 'success', 'failed'], default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  nextAttemptAt: { type: Date, default: Date.now },
+  responseStatus: { type: Number, default: null },
+  lastError: { type: String, default: null },
+  createdAt: { type: Date, default: Date.now },
+  deliveredAt: { type: Date, default: null }
+});
+
+WebhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+WebhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+WebhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: DELIVERY_TTL_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('WebhookDelivery', WebhookDeliverySchema);
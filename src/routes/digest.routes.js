@@ -0,0 +1,9 @@
+import express from 'express';
+import { DigestController } from '../controllers/digest.controller.js';
+
+const router = express.Router();
+
+router.get('/preview', DigestController.previewDigest);
+router.post('/send', DigestController.sendDigest);
+
+export default router;
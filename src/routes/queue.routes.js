@@ -0,0 +1,10 @@
+import express from 'express';
+import { QueueController } from '../controllers/queue.controller.js';
+
+const router = express.Router();
+
+router.get('/', QueueController.listJobs);
+router.get('/:jobId', QueueController.getJob);
+router.delete('/:jobId', QueueController.cancelJob);
+
+export default router;
@@ -0,0 +1,8 @@
+import express from 'express';
+import { StreamController } from '../controllers/stream.controller.js';
+
+const router = express.Router();
+
+router.get('/', StreamController.streamAll);
+
+export default router;
@@ -1,18 +1,75 @@
 import express from 'express';
 import { TicketController } from '../controllers/ticket.controller.js';
+import { HistoryController } from '../controllers/history.controller.js';
+import { AlertController } from '../controllers/alert.controller.js';
+import { WebhookController } from '../controllers/webhook.controller.js';
+import { ScheduleController } from '../controllers/schedule.controller.js';
+import { FetchRunController } from '../controllers/fetchRun.controller.js';
+import { DiffController } from '../controllers/diff.controller.js';
+import { LifecycleController } from '../controllers/lifecycle.controller.js';
+import { StreamController } from '../controllers/stream.controller.js';
+import { HeatmapController } from '../controllers/heatmap.controller.js';
+import { AnalyticsController } from '../controllers/analytics.controller.js';
+import { ExportController } from '../controllers/export.controller.js';
 import * as cheerio from 'cheerio';
 
 const router = express.Router();
 
 // Basic ticket operations
 router.post('/url', TicketController.addUrl);
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }), TicketController.importUrls);
 router.get('/', TicketController.getTickets);
+router.get('/schedule', ScheduleController.listSchedules);
+router.get('/analytics', AnalyticsController.getSummary);
+router.get('/export/listings', ExportController.exportListings);
 router.get('/:id', TicketController.getTicketById);
+router.patch('/:id', TicketController.updateTicketUrl);
+router.delete('/:id', TicketController.deleteTicketUrl);
+
+// Server-Sent Events
+router.get('/:id/stream', StreamController.streamTicket);
 
 // Stadium and changes data
 router.get('/:id/stadium', TicketController.getStadiumData);
+router.get('/:id/stadium/heatmap', HeatmapController.getHeatmap);
+router.get('/:id/stadium/heatmap.svg', HeatmapController.getHeatmapSvg);
 router.get('/:id/changes', TicketController.getChanges);
 
+// Price history
+router.get('/:id/history', HistoryController.getHistory);
+router.get('/:id/diff', DiffController.getDiff);
+router.get('/:id/analytics', AnalyticsController.getEventAnalytics);
+
+// Exports (?format=csv|ndjson|xlsx)
+router.get('/:id/export/listings', ExportController.exportEventListings);
+router.get('/:id/export/changes', ExportController.exportChanges);
+router.get('/:id/export/history', ExportController.exportHistory);
+
+// Alert rules
+router.get('/:id/alerts', AlertController.listAlerts);
+router.post('/:id/alerts', AlertController.createAlert);
+router.get('/:id/alerts/:alertId', AlertController.getAlert);
+router.patch('/:id/alerts/:alertId', AlertController.updateAlert);
+router.delete('/:id/alerts/:alertId', AlertController.deleteAlert);
+
+// Webhooks scoped to this event
+router.get('/:id/webhooks', WebhookController.listTicketWebhooks);
+router.post('/:id/webhooks', WebhookController.createTicketWebhook);
+
+// Polling schedule
+router.get('/:id/schedule', ScheduleController.getSchedule);
+router.patch('/:id/schedule', ScheduleController.updateSchedule);
+
+// Lifecycle
+router.post('/:id/pause', LifecycleController.pause);
+router.post('/:id/resume', LifecycleController.resume);
+router.post('/:id/archive', LifecycleController.archive);
+
+// Fetch run diagnostics
+router.get('/:id/runs', FetchRunController.listRuns);
+router.get('/:id/runs/:runId', FetchRunController.getRun);
+router.get('/:id/runs/:runId/artifacts/:index', FetchRunController.getArtifact);
+
 // Update operations
 router.post('/:id/fetch', TicketController.fetchAndUpdateTickets);
 router.post('/:id/autocart', TicketController.autoCart);
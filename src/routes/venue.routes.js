@@ -0,0 +1,9 @@
+import express from 'express';
+import { VenueController } from '../controllers/venue.controller.js';
+
+const router = express.Router();
+
+router.get('/:id', VenueController.getVenue);
+router.get('/:id/map.svg', VenueController.getVenueMap);
+
+export default router;
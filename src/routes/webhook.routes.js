@@ -0,0 +1,16 @@
+import express from 'express';
+import { WebhookController } from '../controllers/webhook.controller.js';
+
+const router = express.Router();
+
+router.get('/', WebhookController.listWebhooks);
+router.post('/', WebhookController.createWebhook);
+router.get('/:id', WebhookController.getWebhook);
+router.patch('/:id', WebhookController.updateWebhook);
+router.delete('/:id', WebhookController.deleteWebhook);
+
+// Delivery log and manual test ping
+router.get('/:id/deliveries', WebhookController.getDeliveries);
+router.post('/:id/test', WebhookController.testWebhook);
+
+export default router;
@@ -5,12 +5,27 @@ import cors from "cors";
 import { createServer } from "http";
 import { Server } from "socket.io";
 import ticketRoutes from "./routes/ticket.routes.js";
-import TicketUrl from "./models/TicketUrl.js";
+import webhookRoutes from "./routes/webhook.routes.js";
+import digestRoutes from "./routes/digest.routes.js";
+import queueRoutes from "./routes/queue.routes.js";
+import streamRoutes from "./routes/stream.routes.js";
+import venueRoutes from "./routes/venue.routes.js";
+import { cleanup } from "./services/ticketmaster.service.js";
+import { registerSocketHandlers } from "./services/socket.service.js";
+import { registerStreamListeners } from "./services/stream.service.js";
+import { compactHistory } from "./services/history.service.js";
+import { getDueTicketUrls } from "./services/scheduler.service.js";
+import { expirePastEvents } from "./services/lifecycle.service.js";
 import {
-  fetchAvailableTickets,
-  ticketEmitter,
-  cleanup,
-} from "./services/ticketmaster.service.js";
+  activeTicketUrlIds,
+  availableSlots,
+  submitFetch,
+} from "./services/queue.service.js";
+import {
+  registerWebhookListeners,
+  retryDueDeliveries,
+} from "./services/webhook.service.js";
+import { startDigestScheduler } from "./services/digest.service.js";
 
 const app = express();
 const httpServer = createServer(app);
@@ -25,26 +40,24 @@ app.use(cors());
 app.use(express.json());
 
 app.use("/api/tickets", ticketRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/digest", digestRoutes);
+app.use("/api/queue", queueRoutes);
+app.use("/api/stream", streamRoutes);
+app.use("/api/venues", venueRoutes);
 
-// WebSocket connection handling
-io.on("connection", (socket) => {
-  console.log("Client connected");
-
-  socket.on("subscribe", (eventId) => {
-    socket.join(`event-${eventId}`);
-  });
+// Authenticated subscriptions and broadcasts, see socket.service.js
+registerSocketHandlers(io);
 
-  socket.on("disconnect", () => {
-    console.log("Client disconnected");
-  });
-});
+// The same messages as Server-Sent Events, see stream.service.js
+registerStreamListeners();
 
-// Listen for ticket updates and broadcast to connected clients
-ticketEmitter.on("ticketUpdate", (data) => {
-  io.to(`event-${data.eventId}`).emit("ticketUpdate", data);
-});
+// Forward the same events to outbound webhooks
+registerWebhookListeners();
 
-// Polling for real-time updates (every 5 seconds)
+// Every tick queues the TicketUrls whose own schedule says they are due
+// (see scheduler.service.js); the tick itself is not the polling interval.
+// Fetching happens in the worker pool of queue.service.js.
 const POLLING_INTERVAL = 5000; // 5 seconds
 let isPolling = false;
 
@@ -53,49 +66,19 @@ async function pollTickets() {
   isPolling = true;
 
   try {
-    const urls = await TicketUrl.find();
-    for (const ticketUrl of urls) {
-      try {
-        const { tickets, stadiumData, networkData } =
-          await fetchAvailableTickets(ticketUrl.url);
-
-        // Update ticket data
-        ticketUrl.tickets = tickets;
-        ticketUrl.lastChecked = new Date();
-
-        // Update stadium data if available
-        if (stadiumData) {
-          ticketUrl.stadium = {
-            ...ticketUrl.stadium,
-            ...stadiumData,
-            lastUpdated: new Date(),
-          };
-        }
-
-        // Track changes
-        if (networkData) {
-          const changes = detectChanges(
-            ticketUrl.metadata.lastNetworkData,
-            networkData
-          );
-          if (changes.length > 0) {
-            ticketUrl.changes.push(...changes);
-            // Keep only last 100 changes
-            if (ticketUrl.changes.length > 100) {
-              ticketUrl.changes = ticketUrl.changes.slice(-100);
-            }
-          }
-          ticketUrl.metadata.lastNetworkData = networkData;
-        }
-
-        ticketUrl.metadata.lastSuccessfulFetch = new Date();
-        ticketUrl.metadata.fetchCount += 1;
-
-        await ticketUrl.save();
-        console.log(`Updated tickets for ${ticketUrl.url}`);
-      } catch (err) {
-        console.error(`Failed to update ${ticketUrl.url}:`, err.message);
-      }
+    const slots = availableSlots();
+    if (slots <= 0) return;
+
+    const due = await getDueTicketUrls(slots, activeTicketUrlIds());
+    for (const ticketUrl of due) {
+      const job = submitFetch(ticketUrl, { source: "poller" });
+      job.promise
+        .then(({ outcome }) =>
+          console.log(`Updated tickets for ${ticketUrl.url} (${outcome})`)
+        )
+        .catch((err) =>
+          console.error(`Failed to update ${ticketUrl.url}:`, err.message)
+        );
     }
   } catch (err) {
     console.error("Polling error:", err);
@@ -107,6 +90,31 @@ async function pollTickets() {
 // Start polling
 setInterval(pollTickets, POLLING_INTERVAL);
 
+// Compact old price history (hourly)
+const HISTORY_COMPACTION_INTERVAL = 60 * 60 * 1000; // 1 hour
+setInterval(() => {
+  compactHistory().catch((err) =>
+    console.error("History compaction error:", err)
+  );
+}, HISTORY_COMPACTION_INTERVAL);
+
+// Expire events whose date has passed so they drop out of polling
+const LIFECYCLE_INTERVAL = 10 * 60 * 1000; // 10 minutes
+setInterval(() => {
+  expirePastEvents().catch((err) => console.error("Lifecycle error:", err));
+}, LIFECYCLE_INTERVAL);
+
+// Retry failed webhook deliveries whose backoff has elapsed
+const WEBHOOK_RETRY_INTERVAL = 5000; // 5 seconds
+setInterval(() => {
+  retryDueDeliveries().catch((err) =>
+    console.error("Webhook retry error:", err)
+  );
+}, WEBHOOK_RETRY_INTERVAL);
+
+// Email digest of stored changes (DIGEST_INTERVAL=hourly|daily)
+startDigestScheduler();
+
 // Connect to MongoDB and start server
 mongoose
   .connect(process.env.MONGODB_URI)
@@ -129,46 +137,3 @@ process.on("SIGINT", async () => {
   await cleanup();
   process.exit(0);
 });
-
-// Helper function to detect changes in ticket data
-function detectChanges(oldData, newData) {
-  if (!oldData) return [];
-
-  const changes = [];
-
-  // Compare ticket prices and availability
-  if (oldData.tickets && newData.tickets) {
-    const oldTickets = new Map(oldData.tickets.map((t) => [t.sectionRow, t]));
-    const newTickets = new Map(newData.tickets.map((t) => [t.sectionRow, t]));
-
-    // Check for price changes
-    for (const [sectionRow, newTicket] of newTickets) {
-      const oldTicket = oldTickets.get(sectionRow);
-      if (oldTicket && oldTicket.price !== newTicket.price) {
-        changes.push({
-          type: "PRICE_CHANGE",
-          details: {
-            sectionRow,
-            oldPrice: oldTicket.price,
-            newPrice: newTicket.price,
-          },
-        });
-      }
-    }
-
-    // Check for new sections
-    for (const [sectionRow, newTicket] of newTickets) {
-      if (!oldTickets.has(sectionRow)) {
-        changes.push({
-          type: "NEW_SECTION",
-          details: {
-            sectionRow,
-            price: newTicket.price,
-          },
-        });
-      }
-    }
-  }
-
-  return changes;
-}
@@ -0,0 +1,139 @@
+// Evaluates user-defined alert rules after each fetch
+import AlertRule from "../models/AlertRule.js";
+import { ticketEmitter } from "./ticketmaster.service.js";
+
+// Firings kept on each rule document
+const MAX_FIRINGS = 50;
+
+const sectionOf = (ticket) => ticket.section || ticket.sectionRow || "";
+
+// Matches a section against the rule's filter: exact names or numeric ranges
+export function matchesSections(section, filters) {
+  if (!filters || filters.length === 0) return true;
+  if (!section) return false;
+
+  const normalized = String(section).toUpperCase();
+  const numeric = /^\d+$/.test(normalized) ? parseInt(normalized, 10) : null;
+
+  return filters.some((filter) => {
+    const range = String(filter).match(/^\s*(\d+)\s*-\s*(\d+)\s*$/);
+    if (range) {
+      return (
+        numeric !== null &&
+        numeric >= parseInt(range[1], 10) &&
+        numeric <= parseInt(range[2], 10)
+      );
+    }
+    return String(filter).trim().toUpperCase() === normalized;
+  });
+}
+
+function lowestPriceBySection(tickets, filters) {
+  const lowest = new Map();
+  for (const ticket of tickets) {
+    const section = sectionOf(ticket);
+    if (ticket.price == null || !matchesSections(section, filters)) continue;
+    if (!lowest.has(section) || ticket.price < lowest.get(section)) {
+      lowest.set(section, ticket.price);
+    }
+  }
+  return lowest;
+}
+
+// Returns the matches that make a rule fire, or an empty list
+export function evaluateRule(rule, { previousTickets, tickets, changes }) {
+  switch (rule.type) {
+    case "PRICE_BELOW":
+      return tickets
+        .filter(
+          (t) =>
+            t.price != null &&
+            t.price < rule.maxPrice &&
+            matchesSections(sectionOf(t), rule.sections)
+        )
+        .map((t) => ({
+          listingId: t.listingId,
+          section: sectionOf(t),
+          row: t.row,
+          price: t.price,
+          currency: t.currency,
+        }));
+
+    case "PRICE_DROP": {
+      const before = lowestPriceBySection(previousTickets, rule.sections);
+      const after = lowestPriceBySection(tickets, rule.sections);
+      const matches = [];
+      for (const [section, newPrice] of after) {
+        const oldPrice = before.get(section);
+        if (!oldPrice) continue;
+        const dropPercent = ((oldPrice - newPrice) / oldPrice) * 100;
+        if (dropPercent >= rule.percent) {
+          matches.push({
+            section,
+            oldPrice,
+            newPrice,
+            dropPercent: Math.round(dropPercent * 10) / 10,
+          });
+        }
+      }
+      return matches;
+    }
+
+    case "NEW_LISTING":
+      return changes
+        .filter(
+          (c) =>
+            c.type === "NEW_SECTION" &&
+            matchesSections(
+              c.details.section || c.details.sectionRow,
+              rule.sections
+            )
+        )
+        .map((c) => c.details);
+
+    default:
+      return [];
+  }
+}
+
+function inCooldown(rule, now) {
+  if (!rule.lastFiredAt) return false;
+  return now - rule.lastFiredAt.getTime() < rule.cooldownMinutes * 60 * 1000;
+}
+
+// Evaluates every enabled rule of a TicketUrl and records the ones that fired
+export async function evaluateAlerts(ticketUrl, context) {
+  const rules = await AlertRule.find({ ticketUrl: ticketUrl._id, enabled: true });
+  const now = Date.now();
+  const fired = [];
+
+  for (const rule of rules) {
+    if (inCooldown(rule, now)) continue;
+
+    const matches = evaluateRule(rule, context);
+    if (matches.length === 0) continue;
+
+    rule.lastFiredAt = new Date(now);
+    rule.fireCount += 1;
+    rule.firings.push({ timestamp: new Date(now), matches });
+    if (rule.firings.length > MAX_FIRINGS) {
+      rule.firings = rule.firings.slice(-MAX_FIRINGS);
+    }
+    await rule.save();
+
+    const alert = {
+      eventId: ticketUrl.eventId,
+      ticketUrlId: ticketUrl._id,
+      ruleId: rule._id,
+      name: rule.name,
+      type: rule.type,
+      matches,
+      timestamp: new Date(now),
+    };
+    fired.push(alert);
+    ticketEmitter.emit("alertFired", alert);
+    console.log(`🔔 Alert "${rule.name || rule.type}" fired for ${ticketUrl.eventId}`);
+  }
+
+  return fired;
+}
@@ -0,0 +1,222 @@
+// Pricing analytics per event from the current listings and the stored
+// price history, plus a cross-event ranking of price and inventory moves
+import TicketUrl from "../models/TicketUrl.js";
+import PriceHistory from "../models/PriceHistory.js";
+import { summarizeSections } from "./history.service.js";
+import { percentile, summarize } from "../utils/stats.utils.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Windows the current price is compared against
+export const TREND_WINDOWS = { "24h": DAY, "7d": 7 * DAY };
+
+export const DEFAULT_TIERS = [50, 100, 200, 500, 1000];
+
+export const RANKINGS = ["priceDrop", "inventoryChange"];
+
+const round = (value) =>
+  value === null || value === undefined ? null : Math.round(value * 100) / 100;
+
+const percentChange = (current, previous) =>
+  current === null || !previous
+    ? null
+    : round(((current - previous) / previous) * 100);
+
+// Listings per price range; boundaries [50, 100] give <50, 50-100 and 100+
+export function priceTiers(tickets, boundaries = DEFAULT_TIERS) {
+  const edges = [...new Set(boundaries)].sort((a, b) => a - b);
+  const tiers = [...edges, null].map((to, i) => ({
+    from: i === 0 ? 0 : edges[i - 1],
+    to,
+    listings: 0,
+    quantity: 0,
+  }));
+
+  for (const ticket of tickets) {
+    if (ticket.price == null) continue;
+    const tier = tiers.find((t) => t.to === null || ticket.price < t.to);
+    tier.listings += 1;
+    tier.quantity += ticket.quantity || 0;
+  }
+  return tiers;
+}
+
+// Get-in and median of one stored snapshot. The median is the median of
+// the section medians, which is what compacted snapshots still have.
+function snapshotPrices(snapshot) {
+  const mins = snapshot.sections.map((s) => s.min).filter((v) => v != null);
+  return {
+    getIn: mins.length ? Math.min(...mins) : null,
+    median: percentile(
+      snapshot.sections.map((s) => s.median),
+      50
+    ),
+    listings: snapshot.listingCount,
+    weight: snapshot.samples || 1,
+  };
+}
+
+// Sample-weighted mean, so an hourly snapshot counts as the raw ones it replaced
+function weightedMean(points, field) {
+  const usable = points.filter((p) => p[field] !== null);
+  const weight = usable.reduce((sum, p) => sum + p.weight, 0);
+  if (!weight) return null;
+  return round(
+    usable.reduce((sum, p) => sum + p[field] * p.weight, 0) / weight
+  );
+}
+
+function compareWithWindow(current, snapshots, since) {
+  const points = snapshots
+    .filter((s) => s.timestamp >= since)
+    .map(snapshotPrices);
+  const averageGetIn = weightedMean(points, "getIn");
+  const averageMedian = weightedMean(points, "median");
+  return {
+    snapshots: points.length,
+    averageGetIn,
+    averageMedian,
+    averageListings: weightedMean(points, "listings"),
+    getInChange:
+      current.getIn !== null && averageGetIn !== null
+        ? round(current.getIn - averageGetIn)
+        : null,
+    getInChangePercent: percentChange(current.getIn, averageGetIn),
+    // Same statistic on both sides: stored snapshots only have section medians
+    medianChangePercent: percentChange(current.sectionMedian, averageMedian),
+  };
+}
+
+export async function getEventAnalytics(ticketUrl, { tiers } = {}) {
+  const tickets = ticketUrl.tickets.map((t) => (t.toObject ? t.toObject() : t));
+  const prices = tickets.map((t) => t.price).filter((p) => p != null);
+  const { min, median, max, count } = summarize(prices);
+  const currencies = [
+    ...new Set(tickets.map((t) => t.currency).filter(Boolean)),
+  ];
+
+  const sections = summarizeSections(tickets);
+  const current = {
+    getIn: min,
+    median,
+    // Median of the section medians, comparable with snapshotPrices
+    sectionMedian: percentile(
+      sections.map((s) => s.median),
+      50
+    ),
+    p10: percentile(prices, 10),
+    p25: percentile(prices, 25),
+    p75: percentile(prices, 75),
+    p90: percentile(prices, 90),
+    max,
+    average: count ? round(prices.reduce((a, b) => a + b, 0) / count) : null,
+  };
+
+  const now = Date.now();
+  const longest = Math.max(...Object.values(TREND_WINDOWS));
+  const snapshots = await PriceHistory.find({
+    ticketUrl: ticketUrl._id,
+    timestamp: { $gte: new Date(now - longest) },
+  })
+    .select("timestamp samples listingCount sections")
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const trend = Object.fromEntries(
+    Object.entries(TREND_WINDOWS).map(([name, ms]) => [
+      name,
+      compareWithWindow(current, snapshots, new Date(now - ms)),
+    ])
+  );
+
+  return {
+    eventId: ticketUrl.eventId,
+    ticketUrlId: ticketUrl._id,
+    // Mixed currencies are reported but not converted
+    currency: currencies.length === 1 ? currencies[0] : null,
+    currencies,
+    listingCount: tickets.length,
+    quantity: tickets.reduce((sum, t) => sum + (t.quantity || 0), 0),
+    lastChecked: ticketUrl.lastChecked,
+    price: current,
+    sections: sections.sort((a, b) =>
+      String(a.section).localeCompare(String(b.section), undefined, {
+        numeric: true,
+      })
+    ),
+    tiers: priceTiers(tickets, tiers),
+    trend,
+    generatedAt: new Date(now),
+  };
+}
+
+// Ranks tracked (non-archived) events by how much their get-in price or
+// listing count moved since the first snapshot inside the window
+export async function getAnalyticsSummary({
+  rank = "priceDrop",
+  windowMs = DAY,
+  limit = 20,
+} = {}) {
+  const since = new Date(Date.now() - windowMs);
+  const ticketUrls = await TicketUrl.find({ status: { $ne: "archived" } })
+    .select("url eventId event status summary lastChecked")
+    .lean();
+
+  const baselines = await PriceHistory.aggregate([
+    {
+      $match: {
+        ticketUrl: { $in: ticketUrls.map((t) => t._id) },
+        timestamp: { $gte: since },
+      },
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: "$ticketUrl",
+        timestamp: { $first: "$timestamp" },
+        listingCount: { $first: "$listingCount" },
+        getIn: { $first: { $min: "$sections.min" } },
+      },
+    },
+  ]);
+  const baselineOf = new Map(baselines.map((b) => [String(b._id), b]));
+
+  const rows = ticketUrls
+    .filter((ticketUrl) => baselineOf.has(String(ticketUrl._id)))
+    .map((ticketUrl) => {
+      const baseline = baselineOf.get(String(ticketUrl._id));
+      const getIn = ticketUrl.summary?.minPrice ?? null;
+      const listings = ticketUrl.summary?.listingCount ?? 0;
+      return {
+        ticketUrlId: ticketUrl._id,
+        eventId: ticketUrl.eventId,
+        url: ticketUrl.url,
+        name: ticketUrl.event?.name || null,
+        date: ticketUrl.event?.date || null,
+        currency: ticketUrl.summary?.currency || null,
+        since: baseline.timestamp,
+        getIn,
+        previousGetIn: baseline.getIn,
+        getInChange:
+          getIn !== null && baseline.getIn !== null
+            ? round(getIn - baseline.getIn)
+            : null,
+        getInChangePercent: percentChange(getIn, baseline.getIn),
+        listings,
+        previousListings: baseline.listingCount,
+        listingChange: listings - baseline.listingCount,
+        listingChangePercent: percentChange(listings, baseline.listingCount),
+      };
+    });
+
+  // Biggest drop first; the largest inventory move either way first, in
+  // listings since the percentage is undefined for a baseline of zero
+  const score =
+    rank === "inventoryChange"
+      ? (row) => -Math.abs(row.listingChange)
+      : (row) => row.getInChangePercent ?? Infinity;
+  rows.sort((a, b) => score(a) - score(b) || 0);
+
+  return { rank, since, events: rows.slice(0, limit) };
+}
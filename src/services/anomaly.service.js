@@ -0,0 +1,185 @@
+// Statistical anomaly detection after each poll. Every section gets a
+// rolling baseline from its stored history; a listing priced far below the
+// section's usual median or a sudden jump in seats becomes an ANOMALY
+// change with a robust z-score and a readable explanation.
+import PriceHistory from "../models/PriceHistory.js";
+import { summarizeSections } from "./history.service.js";
+import { mad, median } from "../utils/stats.utils.js";
+
+const HISTORY_SNAPSHOTS = parseInt(process.env.ANOMALY_HISTORY_SNAPSHOTS) || 50;
+const MIN_SAMPLES = parseInt(process.env.ANOMALY_MIN_SAMPLES) || 5;
+// Per section and kind, so one dump doesn't become hundreds of changes
+const MAX_PER_SECTION = 1;
+
+// Per-event `anomalySensitivity`. `z` is the robust z-score to reach,
+// `minDrop` the share below the section median and `minSeats` the seats
+// that must appear at once before anything is reported.
+export const SENSITIVITY = {
+  low: { z: 5, minDrop: 0.5, minSeats: 50 },
+  medium: { z: 3.5, minDrop: 0.35, minSeats: 20 },
+  high: { z: 2.5, minDrop: 0.2, minSeats: 10 },
+};
+
+const sectionOf = (ticket) => ticket.section || ticket.sectionRow || "UNKNOWN";
+const round = (value) => Math.round(value * 100) / 100;
+
+const formatPrice = (price, currency) =>
+  `${price.toFixed(2)}${currency ? ` ${currency}` : ""}`;
+
+// Seats when the listings say how many, otherwise the listing count
+const seatsOf = (section) => section.quantity ?? section.listings ?? 0;
+
+// Per-section series from stored snapshots, oldest first
+function sectionBaselines(snapshots) {
+  const baselines = new Map();
+  snapshots.forEach((snapshot, index) => {
+    for (const section of snapshot.sections) {
+      if (!baselines.has(section.section)) {
+        baselines.set(section.section, { medians: [], seats: [], last: null });
+      }
+      const baseline = baselines.get(section.section);
+      if (section.median != null) baseline.medians.push(section.median);
+      baseline.seats.push({ index, seats: seatsOf(section) });
+      baseline.last = { index, seats: seatsOf(section) };
+    }
+  });
+  return baselines;
+}
+
+function priceAnomalies(section, listings, baseline, level, previousPrices) {
+  if (baseline.medians.length < MIN_SAMPLES) return [];
+  const center = median(baseline.medians);
+  // A floor of 5% keeps a perfectly flat history from making every cent an outlier
+  const scale = Math.max(mad(baseline.medians), center * 0.05);
+
+  return listings
+    .filter(
+      (t) =>
+        t.price != null &&
+        // Only listings that are new or repriced in this poll
+        previousPrices.get(t.listingId) !== t.price
+    )
+    .map((t) => ({
+      ticket: t,
+      drop: (center - t.price) / center,
+      score: (center - t.price) / scale,
+    }))
+    .filter(({ drop, score }) => drop >= level.minDrop && score >= level.z)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, MAX_PER_SECTION)
+    .map(({ ticket, drop, score }) => ({
+      type: "ANOMALY",
+      details: {
+        kind: "PRICE_DROP",
+        section,
+        listingId: ticket.listingId,
+        sectionRow: ticket.sectionRow,
+        price: ticket.price,
+        currency: ticket.currency,
+        baseline: round(center),
+        score: round(score),
+        threshold: level.z,
+        samples: baseline.medians.length,
+        explanation:
+          `${ticket.sectionRow || `Section ${section}`} listed at ` +
+          `${formatPrice(ticket.price, ticket.currency)}, ${Math.round(drop * 100)}% ` +
+          `below the section's rolling median of ${formatPrice(center, ticket.currency)} ` +
+          `over ${baseline.medians.length} snapshots`,
+      },
+    }));
+}
+
+function inventoryAnomaly(section, listings, baseline, level, latestIndex) {
+  // Counted the same way as the stored snapshots
+  const [current] = summarizeSections(listings);
+  const seats = seatsOf(current);
+  // A section missing from the latest snapshot had no seats then
+  const lastSeats =
+    baseline.last.index === latestIndex ? baseline.last.seats : 0;
+
+  // Typical change between consecutive snapshots of this section
+  const deltas = [];
+  for (let i = 1; i < baseline.seats.length; i++) {
+    if (baseline.seats[i].index === baseline.seats[i - 1].index + 1) {
+      deltas.push(baseline.seats[i].seats - baseline.seats[i - 1].seats);
+    }
+  }
+  if (deltas.length < MIN_SAMPLES) return null;
+
+  const added = seats - lastSeats;
+  const typical = median(deltas);
+  const score = (added - typical) / Math.max(mad(deltas), 1);
+  if (added < level.minSeats || score < level.z) return null;
+
+  const cheapest = listings
+    .filter((t) => t.price != null)
+    .sort((a, b) => a.price - b.price)[0];
+  return {
+    type: "ANOMALY",
+    details: {
+      kind: "INVENTORY_DUMP",
+      section,
+      seats,
+      added,
+      baseline: round(typical),
+      price: cheapest ? cheapest.price : null,
+      currency: cheapest ? cheapest.currency : null,
+      score: round(score),
+      threshold: level.z,
+      samples: deltas.length,
+      explanation:
+        `Section ${section}: ${added} seats appeared since the last poll ` +
+        `(${seats} now), against a typical change of ${round(typical)} ` +
+        `over ${deltas.length} polls`,
+    },
+  };
+}
+
+// ANOMALY changes for the listings of this poll. Runs before the poll's own
+// snapshot is recorded, so the baseline is history only.
+export async function detectAnomalies(
+  ticketUrl,
+  tickets,
+  previousTickets = []
+) {
+  const level = SENSITIVITY[ticketUrl.anomalySensitivity || "medium"];
+  if (!level || tickets.length === 0) return [];
+
+  const snapshots = await PriceHistory.find({ ticketUrl: ticketUrl._id })
+    .select("timestamp sections")
+    .sort({ timestamp: -1 })
+    .limit(HISTORY_SNAPSHOTS)
+    .lean();
+  if (snapshots.length < MIN_SAMPLES) return [];
+  snapshots.reverse();
+
+  const baselines = sectionBaselines(snapshots);
+  const previousPrices = new Map(
+    previousTickets.map((t) => [t.listingId, t.price])
+  );
+
+  const bySection = new Map();
+  for (const ticket of tickets) {
+    const section = sectionOf(ticket);
+    if (!bySection.has(section)) bySection.set(section, []);
+    bySection.get(section).push(ticket);
+  }
+
+  const anomalies = [];
+  for (const [section, listings] of bySection) {
+    const baseline = baselines.get(section);
+    if (!baseline) continue; // New sections are reported as NEW_SECTION
+    anomalies.push(
+      ...priceAnomalies(section, listings, baseline, level, previousPrices)
+    );
+    const dump = inventoryAnomaly(
+      section,
+      listings,
+      baseline,
+      level,
+      snapshots.length - 1
+    );
+    if (dump) anomalies.push(dump);
+  }
+  return anomalies.sort((a, b) => b.details.score - a.details.score);
+}
@@ -0,0 +1,220 @@
+// Change detection between two consecutive ticket snapshots
+
+// Listings are matched by listingId; snapshots stored before listing ids
+// existed fall back to the descriptor text
+const listingKey = (ticket) => ticket.listingId || ticket.sectionRow;
+
+function describeListing(ticket) {
+  return {
+    listingId: ticket.listingId,
+    sectionRow: ticket.sectionRow,
+    section: ticket.section,
+    row: ticket.row,
+  };
+}
+
+function snapshotListing(ticket) {
+  return {
+    price: ticket.price,
+    currency: ticket.currency,
+    quantity: ticket.quantity,
+  };
+}
+
+export function detectChanges(oldTickets, newTickets) {
+  if (!oldTickets) return [];
+
+  const changes = [];
+
+  // Compare ticket prices and availability
+  if (newTickets) {
+    const oldListings = new Map(oldTickets.map((t) => [listingKey(t), t]));
+    const newListings = new Map(newTickets.map((t) => [listingKey(t), t]));
+
+    // Check for price changes
+    for (const [key, newTicket] of newListings) {
+      const oldTicket = oldListings.get(key);
+      if (oldTicket && oldTicket.price !== newTicket.price) {
+        changes.push({
+          type: "PRICE_CHANGE",
+          details: {
+            ...describeListing(newTicket),
+            oldPrice: oldTicket.price,
+            newPrice: newTicket.price,
+            currency: newTicket.currency,
+            difference:
+              oldTicket.price != null && newTicket.price != null
+                ? Math.round((newTicket.price - oldTicket.price) * 100) / 100
+                : null,
+          },
+        });
+      }
+    }
+
+    // Check for quantity changes on listings that are still available
+    for (const [key, newTicket] of newListings) {
+      const oldTicket = oldListings.get(key);
+      if (
+        oldTicket &&
+        oldTicket.quantity != null &&
+        newTicket.quantity != null &&
+        oldTicket.quantity !== newTicket.quantity
+      ) {
+        changes.push({
+          type: "AVAILABILITY_CHANGE",
+          details: {
+            ...describeListing(newTicket),
+            reason: "QUANTITY_CHANGED",
+            before: snapshotListing(oldTicket),
+            after: snapshotListing(newTicket),
+          },
+        });
+      }
+    }
+
+    // Check for new listings
+    for (const [key, newTicket] of newListings) {
+      if (!oldListings.has(key)) {
+        changes.push({
+          type: "NEW_SECTION",
+          details: {
+            ...describeListing(newTicket),
+            price: newTicket.price,
+            currency: newTicket.currency,
+            quantity: newTicket.quantity,
+          },
+        });
+      }
+    }
+
+    const removed = [...oldListings].filter(([key]) => !newListings.has(key));
+
+    if (removed.length > 0 && newListings.size === 0) {
+      // Everything disappeared at once: record a single sold-out event
+      // instead of one removal per listing
+      changes.push({
+        type: "AVAILABILITY_CHANGE",
+        details: {
+          reason: "SOLD_OUT",
+          before: {
+            listings: oldListings.size,
+            listingIds: removed.map(([, t]) => t.listingId).filter(Boolean),
+          },
+          after: { listings: 0 },
+        },
+      });
+    } else {
+      // Check for listings that were sold or pulled
+      for (const [, oldTicket] of removed) {
+        changes.push({
+          type: "AVAILABILITY_CHANGE",
+          details: {
+            ...describeListing(oldTicket),
+            reason: "REMOVED",
+            before: snapshotListing(oldTicket),
+            after: null,
+          },
+        });
+      }
+    }
+  }
+
+  return changes;
+}
+
+// Full comparison of two inventories, as opposed to the incremental changes
+// above: what was added, removed and repriced, and how each section moved
+export function diffInventories(fromTickets, toTickets) {
+  const fromListings = new Map(fromTickets.map((t) => [listingKey(t), t]));
+  const toListings = new Map(toTickets.map((t) => [listingKey(t), t]));
+
+  const added = [];
+  const removed = [];
+  const repriced = [];
+
+  for (const [key, ticket] of toListings) {
+    const before = fromListings.get(key);
+    if (!before) {
+      added.push({ ...describeListing(ticket), ...snapshotListing(ticket) });
+    } else if (before.price !== ticket.price) {
+      repriced.push({
+        ...describeListing(ticket),
+        oldPrice: before.price,
+        newPrice: ticket.price,
+        currency: ticket.currency,
+        difference:
+          before.price != null && ticket.price != null
+            ? Math.round((ticket.price - before.price) * 100) / 100
+            : null,
+      });
+    }
+  }
+  for (const [key, ticket] of fromListings) {
+    if (!toListings.has(key)) {
+      removed.push({ ...describeListing(ticket), ...snapshotListing(ticket) });
+    }
+  }
+
+  return {
+    added,
+    removed,
+    repriced,
+    sections: diffSections(fromTickets, toTickets),
+    summary: {
+      listingsBefore: fromListings.size,
+      listingsAfter: toListings.size,
+      added: added.length,
+      removed: removed.length,
+      repriced: repriced.length,
+      priceDrops: repriced.filter((r) => r.difference < 0).length,
+      priceIncreases: repriced.filter((r) => r.difference > 0).length,
+    },
+  };
+}
+
+function groupBySection(tickets) {
+  const groups = new Map();
+  for (const ticket of tickets) {
+    const section = ticket.section || ticket.sectionRow || "UNKNOWN";
+    if (!groups.has(section)) groups.set(section, []);
+    groups.get(section).push(ticket);
+  }
+  return groups;
+}
+
+const pricesOf = (tickets = []) =>
+  tickets.map((t) => t.price).filter((p) => p != null);
+
+const lowest = (prices) => (prices.length ? Math.min(...prices) : null);
+const average = (prices) =>
+  prices.length
+    ? Math.round((prices.reduce((sum, p) => sum + p, 0) / prices.length) * 100) /
+      100
+    : null;
+const delta = (before, after) =>
+  before != null && after != null
+    ? Math.round((after - before) * 100) / 100
+    : null;
+
+// Net movement of each section's lowest and average price
+function diffSections(fromTickets, toTickets) {
+  const before = groupBySection(fromTickets);
+  const after = groupBySection(toTickets);
+  const names = new Set([...before.keys(), ...after.keys()]);
+
+  return [...names].sort().map((section) => {
+    const oldPrices = pricesOf(before.get(section));
+    const newPrices = pricesOf(after.get(section));
+    return {
+      section,
+      listingsBefore: before.get(section)?.length || 0,
+      listingsAfter: after.get(section)?.length || 0,
+      minBefore: lowest(oldPrices),
+      minAfter: lowest(newPrices),
+      minChange: delta(lowest(oldPrices), lowest(newPrices)),
+      averageBefore: average(oldPrices),
+      averageAfter: average(newPrices),
+      averageChange: delta(average(oldPrices), average(newPrices)),
+    };
+  });
+}
@@ -0,0 +1,86 @@
+// Compares the full stored inventory of a TicketUrl at two points in time
+import PriceHistory from "../models/PriceHistory.js";
+import FetchRun from "../models/FetchRun.js";
+import { diffInventories } from "./changes.service.js";
+import { parseTimestamp } from "../utils/time.utils.js";
+
+const OBJECT_ID_PATTERN = /^[a-f0-9]{24}$/i;
+
+function pointError(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+// Latest raw snapshot at or before `timestamp`; compacted snapshots no
+// longer hold listings and cannot be diffed
+async function snapshotAt(ticketUrl, timestamp) {
+  return PriceHistory.findOne({
+    ticketUrl: ticketUrl._id,
+    resolution: "raw",
+    timestamp: { $lte: timestamp },
+  })
+    .sort({ timestamp: -1 })
+    .lean();
+}
+
+// Resolves a `from`/`to` value (fetch run id or timestamp) to an inventory.
+// Without a value the current listings are used.
+export async function resolveInventory(ticketUrl, value) {
+  if (value === undefined || value === "") {
+    return {
+      timestamp: ticketUrl.lastChecked,
+      runId: null,
+      snapshotId: null,
+      tickets: ticketUrl.tickets.map((t) => (t.toObject ? t.toObject() : t)),
+    };
+  }
+
+  let snapshot = null;
+  let runId = null;
+
+  if (OBJECT_ID_PATTERN.test(value)) {
+    const run = await FetchRun.findOne({ _id: value, ticketUrl: ticketUrl._id });
+    if (!run) {
+      throw pointError(`Fetch run ${value} not found`);
+    }
+    runId = run._id;
+    snapshot =
+      (await PriceHistory.findOne({ fetchRun: run._id }).lean()) ||
+      (await snapshotAt(ticketUrl, run.finishedAt || run.startedAt));
+  } else {
+    const timestamp = parseTimestamp(value);
+    if (!timestamp) {
+      throw pointError(`Invalid timestamp or run id: ${value}`);
+    }
+    snapshot = await snapshotAt(ticketUrl, timestamp);
+  }
+
+  if (!snapshot) {
+    throw pointError(`No stored inventory at or before ${value}`);
+  }
+
+  return {
+    timestamp: snapshot.timestamp,
+    runId: runId || snapshot.fetchRun || null,
+    snapshotId: snapshot._id,
+    tickets: snapshot.tickets || [],
+  };
+}
+
+export async function diffTicketUrl(ticketUrl, { from, to }) {
+  const before = await resolveInventory(ticketUrl, from);
+  const after = await resolveInventory(ticketUrl, to);
+
+  const describePoint = ({ timestamp, runId, snapshotId }) => ({
+    timestamp,
+    runId,
+    snapshotId,
+  });
+
+  return {
+    from: describePoint(before),
+    to: describePoint(after),
+    ...diffInventories(before.tickets, after.tickets),
+  };
+}
@@ -0,0 +1,251 @@
+// Periodic email digest of stored changes across all tracked TicketUrls
+import nodemailer from "nodemailer";
+import TicketUrl from "../models/TicketUrl.js";
+import ChangeLog from "../models/ChangeLog.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+const PERIODS = { hourly: HOUR, daily: DAY };
+
+// Items listed per event and category before collapsing into "and N more"
+const MAX_ITEMS = 20;
+
+export function getDigestPeriod() {
+  return PERIODS[process.env.DIGEST_INTERVAL] || DAY;
+}
+
+function createTransport() {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST || "localhost",
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === "true",
+    auth: process.env.SMTP_USER
+      ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+      : undefined,
+  });
+}
+
+const formatPrice = (price, currency) =>
+  price == null ? "n/a" : `${price.toFixed(2)} ${currency || ""}`.trim();
+
+const describe = (details) =>
+  details.sectionRow ||
+  [details.section && `Sec ${details.section}`, details.row && `Row ${details.row}`]
+    .filter(Boolean)
+    .join(" ") ||
+  "Listing";
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// Collects changes logged between `since` and `until`, grouped per event.
+// Read from the change log: TicketUrl.changes is capped and would drop
+// most of a busy day.
+export async function buildDigest(since, until = new Date()) {
+  const logged = await ChangeLog.find({
+    timestamp: { $gte: since, $lt: until },
+  })
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const changesOf = new Map();
+  for (const change of logged) {
+    const key = String(change.ticketUrl);
+    if (!changesOf.has(key)) changesOf.set(key, []);
+    changesOf.get(key).push(change);
+  }
+  const ticketUrls = await TicketUrl.find({
+    _id: { $in: [...changesOf.keys()] },
+  }).select("url eventId");
+
+  const events = [];
+  for (const ticketUrl of ticketUrls) {
+    const changes = changesOf.get(String(ticketUrl._id));
+
+    const newSections = changes
+      .filter((c) => c.type === "NEW_SECTION")
+      .map((c) => c.details);
+    const priceDrops = changes
+      .filter(
+        (c) =>
+          c.type === "PRICE_CHANGE" &&
+          c.details.oldPrice != null &&
+          c.details.newPrice != null &&
+          c.details.newPrice < c.details.oldPrice
+      )
+      .map((c) => c.details);
+    const availability = changes
+      .filter((c) => c.type === "AVAILABILITY_CHANGE")
+      .map((c) => c.details);
+
+    if (newSections.length || priceDrops.length || availability.length) {
+      events.push({
+        eventId: ticketUrl.eventId,
+        url: ticketUrl.url,
+        newSections,
+        priceDrops,
+        availability,
+      });
+    }
+  }
+
+  return {
+    since,
+    until,
+    events,
+    totals: {
+      newSections: events.reduce((sum, e) => sum + e.newSections.length, 0),
+      priceDrops: events.reduce((sum, e) => sum + e.priceDrops.length, 0),
+      availabilityChanges: events.reduce(
+        (sum, e) => sum + e.availability.length,
+        0
+      ),
+    },
+  };
+}
+
+// One line of text per change, shared by the text and HTML renderers
+function digestLines(event) {
+  const lines = (items, format) => {
+    const rendered = items.slice(0, MAX_ITEMS).map(format);
+    if (items.length > MAX_ITEMS) {
+      rendered.push(`...and ${items.length - MAX_ITEMS} more`);
+    }
+    return rendered;
+  };
+
+  return [
+    {
+      title: "New sections",
+      lines: lines(
+        event.newSections,
+        (d) => `${describe(d)}: ${formatPrice(d.price, d.currency)}`
+      ),
+    },
+    {
+      title: "Price drops",
+      lines: lines(
+        event.priceDrops,
+        (d) =>
+          `${describe(d)}: ${formatPrice(d.oldPrice, d.currency)} -> ${formatPrice(
+            d.newPrice,
+            d.currency
+          )}`
+      ),
+    },
+    {
+      title: "Availability changes",
+      lines: lines(event.availability, (d) => {
+        if (d.reason === "SOLD_OUT") {
+          return `Sold out (${d.before?.listings ?? 0} listings gone)`;
+        }
+        if (d.reason === "QUANTITY_CHANGED") {
+          return `${describe(d)}: quantity ${d.before?.quantity} -> ${d.after?.quantity}`;
+        }
+        return `${describe(d)}: removed`;
+      }),
+    },
+  ].filter((group) => group.lines.length > 0);
+}
+
+function digestSubject(digest) {
+  const { newSections, priceDrops, availabilityChanges } = digest.totals;
+  return `Ticket digest: ${newSections} new, ${priceDrops} price drops, ${availabilityChanges} availability changes`;
+}
+
+export function renderDigestText(digest) {
+  const out = [
+    digestSubject(digest),
+    `${digest.since.toISOString()} - ${digest.until.toISOString()}`,
+    "",
+  ];
+  if (digest.events.length === 0) {
+    out.push("No changes in this period.");
+  }
+  for (const event of digest.events) {
+    out.push(`== Event ${event.eventId} ==`, event.url);
+    for (const group of digestLines(event)) {
+      out.push("", `${group.title}:`, ...group.lines.map((l) => `  - ${l}`));
+    }
+    out.push("");
+  }
+  return out.join("\n");
+}
+
+export function renderDigestHtml(digest) {
+  const sections = digest.events.map((event) => {
+    const groups = digestLines(event)
+      .map(
+        (group) =>
+          `<h4>${escapeHtml(group.title)}</h4><ul>${group.lines
+            .map((l) => `<li>${escapeHtml(l)}</li>`)
+            .join("")}</ul>`
+      )
+      .join("");
+    return `<h3>Event ${escapeHtml(event.eventId)}</h3>
+<p><a href="${escapeHtml(event.url)}">${escapeHtml(event.url)}</a></p>
+${groups}`;
+  });
+
+  return `<!DOCTYPE html>
+<html><body style="font-family: sans-serif">
+<h2>${escapeHtml(digestSubject(digest))}</h2>
+<p>${escapeHtml(digest.since.toISOString())} - ${escapeHtml(
+    digest.until.toISOString()
+  )}</p>
+${sections.length ? sections.join("\n") : "<p>No changes in this period.</p>"}
+</body></html>`;
+}
+
+// Builds and emails the digest. Empty digests are skipped unless
+// DIGEST_SEND_EMPTY=true.
+export async function sendDigest(since, until = new Date()) {
+  const digest = await buildDigest(since, until);
+  if (digest.events.length === 0 && process.env.DIGEST_SEND_EMPTY !== "true") {
+    console.log("📭 Digest: no changes, skipping email");
+    return { sent: false, digest };
+  }
+
+  if (!process.env.DIGEST_TO) {
+    throw new Error("DIGEST_TO is not configured");
+  }
+
+  const info = await createTransport().sendMail({
+    from: process.env.DIGEST_FROM || "ticket-checker@localhost",
+    to: process.env.DIGEST_TO,
+    subject: digestSubject(digest),
+    text: renderDigestText(digest),
+    html: renderDigestHtml(digest),
+  });
+  console.log(`📧 Digest sent: ${info.messageId}`);
+  return { sent: true, messageId: info.messageId, digest };
+}
+
+// Sends one digest per elapsed period, aligned to whole hours or days (UTC)
+export function startDigestScheduler() {
+  if (!process.env.DIGEST_TO) {
+    console.log("ℹ️ DIGEST_TO not set, email digest disabled");
+    return null;
+  }
+
+  const period = getDigestPeriod();
+  let periodStart = new Date(Math.floor(Date.now() / period) * period);
+
+  return setInterval(async () => {
+    const periodEnd = new Date(periodStart.getTime() + period);
+    if (Date.now() < periodEnd.getTime()) return;
+
+    const since = periodStart;
+    periodStart = periodEnd;
+    try {
+      await sendDigest(since, periodEnd);
+    } catch (err) {
+      console.error("Digest error:", err.message);
+    }
+  }, 60 * 1000);
+}
@@ -0,0 +1,138 @@
+// Streams listings, changes and price history as CSV, NDJSON or CSV that
+// Excel opens correctly ("xlsx": UTF-8 BOM and formula-safe cells). Rows
+// are written as documents arrive from a cursor and the response's
+// backpressure is respected, so large exports are never buffered.
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+import { toCsvRow } from "../utils/csv.utils.js";
+
+export const FORMATS = {
+  csv: { type: "text/csv; charset=utf-8", extension: "csv" },
+  ndjson: { type: "application/x-ndjson; charset=utf-8", extension: "ndjson" },
+  xlsx: { type: "text/csv; charset=utf-8", extension: "csv" },
+};
+
+const eventColumns = [
+  ["eventId", (ctx) => ctx.eventId],
+  ["eventName", (ctx) => ctx.event?.name],
+  ["eventDate", (ctx) => ctx.event?.date],
+  ["venue", (ctx) => ctx.event?.venue],
+];
+
+// [header, (context, row) => value]; context is the TicketUrl
+export const LISTING_COLUMNS = [
+  ...eventColumns,
+  ["url", (ctx) => ctx.url],
+  ["listingId", (ctx, t) => t.listingId],
+  ["section", (ctx, t) => t.section],
+  ["row", (ctx, t) => t.row],
+  ["seatFrom", (ctx, t) => t.seatFrom],
+  ["seatTo", (ctx, t) => t.seatTo],
+  ["quantity", (ctx, t) => t.quantity],
+  ["type", (ctx, t) => t.type],
+  ["price", (ctx, t) => t.price],
+  ["currency", (ctx, t) => t.currency],
+  ["perTicket", (ctx, t) => t.perTicket],
+  ["feesIncluded", (ctx, t) => t.feesIncluded],
+  ["source", (ctx, t) => t.source],
+  ["sectionRow", (ctx, t) => t.sectionRow],
+  ["priceText", (ctx, t) => t.priceText],
+  ["timestamp", (ctx, t) => t.timestamp],
+];
+
+export const CHANGE_COLUMNS = [
+  ...eventColumns,
+  ["timestamp", (ctx, c) => c.timestamp],
+  ["type", (ctx, c) => c.type],
+  ["reason", (ctx, c) => c.details?.reason ?? c.details?.kind],
+  ["listingId", (ctx, c) => c.details?.listingId],
+  ["section", (ctx, c) => c.details?.section],
+  ["row", (ctx, c) => c.details?.row],
+  ["sectionRow", (ctx, c) => c.details?.sectionRow],
+  ["oldPrice", (ctx, c) => c.details?.oldPrice ?? c.details?.before?.price],
+  [
+    "newPrice",
+    (ctx, c) =>
+      c.details?.newPrice ?? c.details?.price ?? c.details?.after?.price,
+  ],
+  ["difference", (ctx, c) => c.details?.difference],
+  [
+    "currency",
+    (ctx, c) =>
+      c.details?.currency ??
+      c.details?.after?.currency ??
+      c.details?.before?.currency,
+  ],
+  ["score", (ctx, c) => c.details?.score],
+  ["explanation", (ctx, c) => c.details?.explanation],
+  ["details", (ctx, c) => c.details],
+];
+
+// Rows are the section summaries of a PriceHistory document
+export const HISTORY_COLUMNS = [
+  ["eventId", (ctx) => ctx.eventId],
+  ["timestamp", (ctx) => ctx.timestamp],
+  ["resolution", (ctx) => ctx.resolution],
+  ["samples", (ctx) => ctx.samples],
+  ["section", (ctx, s) => s.section],
+  ["min", (ctx, s) => s.min],
+  ["median", (ctx, s) => s.median],
+  ["max", (ctx, s) => s.max],
+  ["listings", (ctx, s) => s.listings],
+  ["quantity", (ctx, s) => s.quantity],
+];
+
+function serializer(format, columns) {
+  const headers = columns.map(([header]) => header);
+  if (format === "ndjson") {
+    return {
+      head: "",
+      row: (values) =>
+        `${JSON.stringify(
+          Object.fromEntries(headers.map((h, i) => [h, values[i] ?? null]))
+        )}\n`,
+    };
+  }
+  const options = { guardFormulas: format === "xlsx" };
+  return {
+    head: `${format === "xlsx" ? "\uFEFF" : ""}${toCsvRow(headers)}`,
+    row: (values) => toCsvRow(values, options),
+  };
+}
+
+async function* exportLines(source, rowsOf, columns, { head, row }) {
+  yield head;
+  for await (const doc of source) {
+    for (const item of rowsOf(doc)) {
+      yield row(columns.map(([, value]) => value(doc, item)));
+    }
+  }
+}
+
+// Writes every row of every document from `source` (a Mongoose cursor or
+// any async iterable). `rowsOf(doc)` returns the rows of one document.
+// pipeline() handles backpressure and, when the client goes away, ends the
+// generator, which closes the cursor.
+export async function streamExport(
+  res,
+  { source, rowsOf, columns, format, filename }
+) {
+  res.set({
+    "Content-Type": FORMATS[format].type,
+    "Content-Disposition": `attachment; filename="${filename}.${FORMATS[format].extension}"`,
+    "Cache-Control": "no-cache",
+  });
+
+  const lines = exportLines(
+    source,
+    rowsOf,
+    columns,
+    serializer(format, columns)
+  );
+  try {
+    await pipeline(Readable.from(lines), res);
+  } catch (err) {
+    // The client disconnecting is not an export failure
+    if (err.code !== "ERR_STREAM_PREMATURE_CLOSE") throw err;
+  }
+}
@@ -0,0 +1,202 @@
+// Browser-independent extraction of listings and the venue map from page
+// HTML. The live scraper feeds it `page.content()`, replay mode feeds it
+// saved snapshots, so both run the exact same selectors.
+import * as cheerio from "cheerio";
+import { normalizeTickets } from "../utils/listing.utils.js";
+import { extractTicketsFromNetwork } from "./networkExtractor.service.js";
+import { eventDateFromUrl, priceOptionsForUrl } from "../utils/url.utils.js";
+
+export const SELECTORS = {
+  quickPickItem: 'li[data-bdd="quick-picks-list-item-resale"]',
+  quickPickDesc: 'span[data-bdd="quick-pick-item-desc"]',
+  quickPickPrice: 'button[data-bdd="quick-pick-price-button"]',
+  quickPickBranding: 'span[data-bdd="quick-picks-resale-branding"]',
+  acceptButton: 'button[data-bdd="accept-modal-accept-button"]',
+  botCheckbox: "button.checkbox-container#captcha-checkbox",
+  // Tried in order, the first match is the venue map
+  venueMap: [
+    'svg[data-bdd="venue-map"]',
+    'div[data-bdd="venue-map"]',
+    'div[class*="venue-map"]',
+    'div[class*="stadium"]',
+  ],
+  mapSection: '[data-bdd*="section"], [class*="section"]',
+  eventName: '[data-bdd="event-header-title"], h1',
+  eventVenue: '[data-bdd="event-venue-info"]',
+};
+
+const EVENT_TYPES = /Event$/; // Event, MusicEvent, SportsEvent, TheaterEvent...
+
+// schema.org availability / eventStatus -> our onSaleStatus
+const STATUS_PATTERNS = [
+  [/EventCancelled/i, "cancelled"],
+  [/EventPostponed|EventRescheduled/i, "postponed"],
+  [/SoldOut/i, "soldout"],
+  [/PreOrder|PreSale/i, "presale"],
+  [/InStock|LimitedAvailability|OnlineOnly/i, "onsale"],
+  [/Discontinued|OutOfStock/i, "offsale"],
+];
+
+// Mirrors the browser's innerText closely enough for our descriptors
+const textOf = (el) => el.text().replace(/\s+/g, " ").trim();
+
+export function extractTicketsFromHtml(html) {
+  const $ = cheerio.load(html);
+  const timestamp = new Date().toISOString();
+
+  return $(SELECTORS.quickPickItem)
+    .toArray()
+    .map((node) => {
+      const el = $(node);
+      return {
+        sectionRow: textOf(el.find(SELECTORS.quickPickDesc).first()),
+        price: textOf(el.find(SELECTORS.quickPickPrice).first()),
+        type: textOf(el.find(SELECTORS.quickPickBranding).first()),
+        timestamp,
+      };
+    });
+}
+
+export function extractStadiumFromHtml(html) {
+  const $ = cheerio.load(html);
+
+  const mapSelector = SELECTORS.venueMap.find((s) => $(s).length > 0);
+  if (!mapSelector) {
+    return { stadiumImage: null, layoutData: null, mapSelector: null };
+  }
+
+  const layoutData = $(SELECTORS.mapSection)
+    .toArray()
+    .map((node) => {
+      const el = $(node);
+      return {
+        id: el.attr("data-section-id") || el.attr("id"),
+        name: el.attr("data-section-name") || el.text().trim(),
+        coordinates: el.attr("data-coordinates") || null,
+      };
+    });
+
+  return {
+    stadiumImage: $.html($(mapSelector).first()),
+    layoutData,
+    mapSelector,
+  };
+}
+
+// Which of the selectors we depend on matched, so a markup change shows up
+// as a warning instead of silently producing empty results
+export function checkSelectors(html) {
+  const $ = cheerio.load(html);
+  const missing = [];
+  if ($(SELECTORS.quickPickItem).length === 0) missing.push("quickPickItem");
+  if (!SELECTORS.venueMap.some((s) => $(s).length > 0)) missing.push("venueMap");
+  return missing;
+}
+
+// Listings are kept even when the venue map is missing, but an empty list
+// only means sold out when the map rendered. Otherwise the page most likely
+// did not finish loading or its markup changed, and the result must not be
+// compared against the previous snapshot.
+export function isIncompleteExtraction(tickets, stadiumData) {
+  return (!tickets || tickets.length === 0) && !stadiumData?.layoutData?.length;
+}
+
+// Listings from the captured offer payloads when there are any, otherwise
+// from the quick-picks list in the DOM. `url` picks the site's currency and
+// number format.
+export function extractListings({ html, responses = [], url }) {
+  const priceOptions = priceOptionsForUrl(url);
+  const networkTickets = extractTicketsFromNetwork(responses, priceOptions);
+  if (networkTickets.length > 0) {
+    return { tickets: networkTickets, source: "network" };
+  }
+  return {
+    tickets: normalizeTickets(extractTicketsFromHtml(html), priceOptions),
+    source: "dom",
+  };
+}
+
+function findEventJsonLd($) {
+  const candidates = [];
+  $('script[type="application/ld+json"]').each((_, node) => {
+    try {
+      const json = JSON.parse($(node).contents().text());
+      const items = Array.isArray(json) ? json : json["@graph"] || [json];
+      candidates.push(...items);
+    } catch (e) {
+      // Ignore malformed JSON-LD blocks
+    }
+  });
+  return candidates.find((item) =>
+    [].concat(item?.["@type"] || []).some((type) => EVENT_TYPES.test(type))
+  );
+}
+
+function onSaleStatusOf(jsonLd, pageText) {
+  const offers = [].concat(jsonLd?.offers || []);
+  const signals = [
+    jsonLd?.eventStatus,
+    ...offers.map((offer) => offer?.availability),
+  ].filter(Boolean);
+
+  for (const [pattern, status] of STATUS_PATTERNS) {
+    if (signals.some((signal) => pattern.test(signal))) return status;
+  }
+  if (/on sale soon|presale/i.test(pageText)) return "presale";
+  if (/sold out|no tickets available/i.test(pageText)) return "soldout";
+  return signals.length ? "unknown" : null;
+}
+
+// Text a visitor would read. Inline page state (<script> JSON with keys
+// like "presale" or "soldOut") must not count as a status on the page.
+function visibleText($) {
+  const body = $("body").clone();
+  body.find("script, style, noscript, template").remove();
+  return body.text();
+}
+
+// Ticketmaster venue links look like ".../venue/<name>-tickets/<id>" or ".../venue/<id>"
+function venueIdOf(location) {
+  const link = location["@id"] || location.url;
+  if (!link) return null;
+  const match = String(link).match(/\/venue\/(?:[^/?#]+\/)?([A-Za-z0-9]+)\/?(?:[?#]|$)/);
+  return match ? match[1] : null;
+}
+
+// Event name, date, venue, city and on-sale status. Reads the page's
+// schema.org JSON-LD first and falls back to headings, meta tags and the
+// date in the URL slug. Fields that can't be found are null.
+export function extractEventFromHtml(html, url) {
+  const $ = cheerio.load(html);
+  const jsonLd = findEventJsonLd($);
+  const location = [].concat(jsonLd?.location || [])[0] || {};
+  const address = location.address || {};
+
+  const startDate = jsonLd?.startDate ? new Date(jsonLd.startDate) : null;
+  const date =
+    startDate && !Number.isNaN(startDate.getTime())
+      ? startDate
+      : eventDateFromUrl(url);
+
+  const name =
+    jsonLd?.name ||
+    textOf($(SELECTORS.eventName).first()) ||
+    $('meta[property="og:title"]').attr("content") ||
+    null;
+
+  const venueText = textOf($(SELECTORS.eventVenue).first());
+
+  return {
+    name: name || null,
+    date,
+    venue: location.name || venueText.split(",")[0].trim() || null,
+    venueId: venueIdOf(location),
+    city: address.addressLocality || null,
+    region: address.addressRegion || null,
+    country:
+      (typeof address.addressCountry === "object"
+        ? address.addressCountry?.name
+        : address.addressCountry) || null,
+    onSaleStatus: onSaleStatusOf(jsonLd, visibleText($)),
+  };
+}
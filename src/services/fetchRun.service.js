@@ -0,0 +1,95 @@
+// Persists every fetch as a FetchRun with a timeline of the steps it reached
+// and the screenshots/JSON files it produced
+import FetchRun from "../models/FetchRun.js";
+import { isBlockedResult } from "./tracker.service.js";
+
+// Passed to fetchAvailableTickets as `run`. Starting a step closes the
+// previous one as "ok"; a thrown error marks the current step "failed".
+// `onStep` is called with each step name as it starts.
+export function createRunRecorder({ onStep } = {}) {
+  const steps = [];
+  const artifacts = [];
+
+  const current = () => {
+    const last = steps[steps.length - 1];
+    return last && last.status === "running" ? last : null;
+  };
+
+  const close = (status, message = null) => {
+    const step = current();
+    if (step) {
+      step.status = status;
+      step.finishedAt = new Date();
+      step.message = message;
+    }
+  };
+
+  return {
+    steps,
+    artifacts,
+    step(name) {
+      close("ok");
+      steps.push({ name, status: "running", startedAt: new Date() });
+      onStep?.(name);
+    },
+    fail(message) {
+      close("failed", message);
+    },
+    finish() {
+      close("ok");
+    },
+    artifact(type, path, label) {
+      if (path) {
+        artifacts.push({ type, path, label, createdAt: new Date() });
+      }
+    },
+  };
+}
+
+export function classifyRunOutcome(result, error) {
+  if (error) {
+    if (error.code === "FETCH_TIMEOUT" || error.name === "TimeoutError") {
+      return "timeout";
+    }
+    return "error";
+  }
+  if (isBlockedResult(result)) return "blocked";
+  return result.tickets && result.tickets.length > 0 ? "success" : "empty";
+}
+
+function describeResultProblem(result) {
+  if (result?.reason) return result.reason;
+  if (result?.missingSelectors?.length) {
+    return `Expected selectors not found: ${result.missingSelectors.join(", ")}`;
+  }
+  return null;
+}
+
+export async function startRun(ticketUrl, { jobId, source } = {}) {
+  return FetchRun.create({
+    ticketUrl: ticketUrl._id,
+    eventId: ticketUrl.eventId,
+    url: ticketUrl.url,
+    jobId,
+    source,
+    startedAt: new Date(),
+  });
+}
+
+export async function finishRun(run, recorder, { result, error } = {}) {
+  if (error) {
+    recorder.fail(error.message);
+  } else {
+    recorder.finish();
+  }
+
+  run.finishedAt = new Date();
+  run.durationMs = run.finishedAt - run.startedAt;
+  run.outcome = classifyRunOutcome(result, error);
+  run.error = error ? error.message : describeResultProblem(result);
+  run.listingCount = result?.tickets?.length || 0;
+  run.steps = recorder.steps;
+  run.artifacts = recorder.artifacts;
+  await run.save();
+  return run;
+}
@@ -0,0 +1,230 @@
+// Offline fixtures for the scraper. A fixture is one recorded page:
+//
+//   <SCRAPER_FIXTURES_DIR>/<eventId>/<snapshot>/page.html     rendered DOM
+//   <SCRAPER_FIXTURES_DIR>/<eventId>/<snapshot>/network.json  [{ url, data }]
+//   <SCRAPER_FIXTURES_DIR>/<eventId>/<snapshot>/meta.json     { url, eventId, capturedAt }
+//
+// Snapshots of one event form a session and are replayed in name order.
+// SCRAPER_MODE=replay makes fetchAvailableTickets read them instead of
+// opening a browser; the fixture server below serves them over HTTP so the
+// real browser pipeline can run against a local copy.
+import fs from "fs";
+import path from "path";
+import express from "express";
+import {
+  SELECTORS,
+  checkSelectors,
+  extractEventFromHtml,
+  extractListings,
+  extractStadiumFromHtml,
+  isIncompleteExtraction,
+} from "./extractor.service.js";
+
+const FIXTURES_DIR = process.env.SCRAPER_FIXTURES_DIR || "./fixtures";
+
+// Next snapshot to replay per eventId
+const replayCursors = new Map();
+
+export function isReplayMode() {
+  return process.env.SCRAPER_MODE === "replay";
+}
+
+// Event ids and snapshot names are single path segments, so a request can't
+// reach files outside the fixtures directory
+const isFixtureName = (name) =>
+  typeof name === "string" && /^[\w-]+$/.test(name);
+
+export function listSnapshots(eventId, dir = FIXTURES_DIR) {
+  if (!isFixtureName(eventId)) return [];
+  const eventDir = path.join(dir, eventId);
+  if (!fs.existsSync(eventDir)) return [];
+  return fs
+    .readdirSync(eventDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+export function loadSnapshot(eventId, snapshot, dir = FIXTURES_DIR) {
+  if (!isFixtureName(eventId) || !isFixtureName(snapshot)) {
+    throw new Error(`Invalid fixture ${eventId}/${snapshot}`);
+  }
+  const snapshotDir = path.join(dir, eventId, snapshot);
+  const read = (file, fallback) => {
+    const filepath = path.join(snapshotDir, file);
+    return fs.existsSync(filepath) ? fs.readFileSync(filepath, "utf8") : fallback;
+  };
+
+  return {
+    name: snapshot,
+    html: read("page.html", ""),
+    network: JSON.parse(read("network.json", "[]")),
+    meta: JSON.parse(read("meta.json", "{}")),
+  };
+}
+
+// Runs a snapshot through the same extraction and normalization as a live
+// fetch and returns a result of the same shape
+export function buildResultFromSnapshot(eventId, snapshot, { run } = {}) {
+  run?.step("stadium_extraction");
+  const { stadiumImage, layoutData } = extractStadiumFromHtml(snapshot.html);
+  const stadiumData = stadiumImage ? { stadiumImage, layoutData } : null;
+
+  run?.step("network_capture");
+  const networkData = snapshot.network.length ? snapshot.network : null;
+
+  run?.step("dom_extraction");
+  const { tickets, source } = extractListings({
+    html: snapshot.html,
+    responses: snapshot.network,
+    url: snapshot.meta.url,
+  });
+  const missingSelectors = checkSelectors(snapshot.html);
+  const eventData = extractEventFromHtml(snapshot.html, snapshot.meta.url);
+
+  // Same emptiness rule as the live scraper
+  if (isIncompleteExtraction(tickets, stadiumData)) {
+    return {
+      eventId,
+      tickets: [],
+      stadiumData: null,
+      networkData: null,
+      eventData,
+      missingSelectors,
+      incomplete: true,
+    };
+  }
+  return {
+    eventId,
+    tickets,
+    stadiumData: layoutData?.length ? stadiumData : null,
+    networkData,
+    eventData,
+    listingSource: source,
+  };
+}
+
+// Returns the next recorded snapshot of an event as a fetch result. The last
+// snapshot repeats once the session is exhausted.
+export function replayFetch(eventId, { run, dir = FIXTURES_DIR } = {}) {
+  const snapshots = listSnapshots(eventId, dir);
+  if (snapshots.length === 0) {
+    throw new Error(`No replay fixtures for event ${eventId} in ${dir}`);
+  }
+
+  const index = Math.min(replayCursors.get(eventId) || 0, snapshots.length - 1);
+  replayCursors.set(eventId, index + 1);
+
+  console.log(`📼 Replaying fixture ${eventId}/${snapshots[index]}`);
+  run?.step("navigation");
+  const snapshot = loadSnapshot(eventId, snapshots[index], dir);
+  return buildResultFromSnapshot(eventId, snapshot, { run });
+}
+
+export function resetReplay(eventId) {
+  if (eventId) {
+    replayCursors.delete(eventId);
+  } else {
+    replayCursors.clear();
+  }
+}
+
+// Saves the current page as a new snapshot (SCRAPER_RECORD=true)
+export function recordSnapshot(eventId, { url, html, network }, dir = FIXTURES_DIR) {
+  if (!isFixtureName(eventId)) {
+    console.error(`❌ Not recording fixture for invalid event id ${eventId}`);
+    return null;
+  }
+  const snapshot = new Date().toISOString().replace(/[:.]/g, "-");
+  const snapshotDir = path.join(dir, eventId, snapshot);
+  try {
+    fs.mkdirSync(snapshotDir, { recursive: true });
+    fs.writeFileSync(path.join(snapshotDir, "page.html"), html);
+    fs.writeFileSync(
+      path.join(snapshotDir, "network.json"),
+      JSON.stringify(network, null, 2)
+    );
+    fs.writeFileSync(
+      path.join(snapshotDir, "meta.json"),
+      JSON.stringify({ url, eventId, capturedAt: new Date() }, null, 2)
+    );
+    console.log(`📼 Fixture recorded: ${snapshotDir}`);
+    return snapshotDir;
+  } catch (err) {
+    console.error("❌ Failed to record fixture:", err.message);
+    return null;
+  }
+}
+
+// Script injected into served pages: adds the accept modal if the capture
+// doesn't have one and replays the recorded responses as XHRs, so the
+// scraper's accept-click and network capture steps behave as on the site
+function injectedScript(eventId, snapshot, network) {
+  const acceptButton = SELECTORS.acceptButton.match(/data-bdd="([^"]+)"/)[1];
+  return `<script>
+(function () {
+  if (!document.querySelector('${SELECTORS.acceptButton}')) {
+    var modal = document.createElement("div");
+    modal.innerHTML = '<button data-bdd="${acceptButton}">Accept &amp; Continue</button>';
+    modal.firstChild.addEventListener("click", function () { modal.remove(); });
+    document.body.appendChild(modal);
+  }
+  for (var i = 0; i < ${network.length}; i++) {
+    var xhr = new XMLHttpRequest();
+    xhr.open("GET", "/__fixtures__/${eventId}/${snapshot}/network/" + i);
+    xhr.send();
+  }
+})();
+</script>`;
+}
+
+// Serves fixtures at /<any-slug>/event/<eventId>, so a fixture URL looks like
+// a real event URL to fetchAvailableTickets. ?snapshot= picks a snapshot,
+// otherwise the latest one is served.
+export function createFixtureApp(dir = FIXTURES_DIR) {
+  const app = express();
+
+  app.get("/__fixtures__/:eventId/:snapshot/network/:index", (req, res) => {
+    const { eventId, snapshot, index } = req.params;
+    if (!listSnapshots(eventId, dir).includes(snapshot)) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    const entry = loadSnapshot(eventId, snapshot, dir).network[Number(index)];
+    if (!entry) {
+      return res.status(404).json({ error: "Not found" });
+    }
+    res.json(entry.data);
+  });
+
+  app.get("/*/event/:eventId", (req, res) => {
+    const { eventId } = req.params;
+    const snapshots = listSnapshots(eventId, dir);
+    const name = req.query.snapshot || snapshots[snapshots.length - 1];
+    if (!name || !snapshots.includes(name)) {
+      return res.status(404).send("No fixture for this event");
+    }
+
+    const snapshot = loadSnapshot(eventId, name, dir);
+    const script = injectedScript(eventId, name, snapshot.network);
+    const html = snapshot.html.includes("</body>")
+      ? snapshot.html.replace("</body>", `${script}</body>`)
+      : snapshot.html + script;
+    res.type("html").send(html);
+  });
+
+  return app;
+}
+
+export function startFixtureServer({ port = 4010, dir = FIXTURES_DIR } = {}) {
+  return new Promise((resolve) => {
+    const server = createFixtureApp(dir).listen(port, () => {
+      console.log(`📼 Fixture server on http://localhost:${port} serving ${dir}`);
+      resolve(server);
+    });
+  });
+}
+
+// For direct use: node src/services/fixture.service.js [port]
+if (process.argv[1] === new URL(import.meta.url).pathname) {
+  startFixtureServer({ port: parseInt(process.argv[2]) || 4010 });
+}
@@ -0,0 +1,197 @@
+// Joins current listings to the sections of the stored venue map and colors
+// each section by its lowest price or by the number of listings
+import * as cheerio from "cheerio";
+
+export const MODES = ["price", "availability"];
+
+const NO_LISTINGS_COLOR = "#d9d9d9";
+const LEGEND_STEPS = 5;
+const LEGEND_RATIO = 0.08; // Legend strip height relative to the map width
+const SHAPES = "path, polygon, rect, circle, ellipse";
+
+// "s_112", "Sec 112" and "112" all become "112"
+export function sectionKey(value) {
+  return String(value ?? "")
+    .toUpperCase()
+    .replace(/^(S_|SEC(TION)?\b)/, "")
+    .replace(/[^A-Z0-9]/g, "");
+}
+
+// t = 0 is the cheapest / least available end of the scale
+function colorAt(mode, t) {
+  if (mode === "availability") {
+    return `hsl(210, 70%, ${Math.round(85 - 50 * t)}%)`;
+  }
+  return `hsl(${Math.round(120 * (1 - t))}, 70%, 50%)`;
+}
+
+function formatValue(mode, value, currency) {
+  if (mode === "availability") return String(Math.round(value));
+  if (!currency) return value.toFixed(2);
+  try {
+    return new Intl.NumberFormat("en-US", {
+      style: "currency",
+      currency,
+      maximumFractionDigits: 0,
+    }).format(value);
+  } catch {
+    // Not an ISO 4217 code, e.g. a symbol from a network payload
+    return `${value.toFixed(2)} ${currency}`;
+  }
+}
+
+// { mode, currency, range, legend, sections, unmatched } for a venue map
+// ({ sections } from loadVenueMap) and the current listings
+export function buildHeatmap(map, tickets, { mode = "price" } = {}) {
+  const sections = (map?.sections || []).map((section) => ({
+    id: section.id || null,
+    name: section.name || null,
+    coordinates: section.coordinates || null,
+    path: section.path || null,
+    minPrice: null,
+    listings: 0,
+    quantity: 0,
+    color: NO_LISTINGS_COLOR,
+  }));
+
+  const byKey = new Map();
+  for (const section of sections) {
+    for (const key of [sectionKey(section.id), sectionKey(section.name)]) {
+      if (key && !byKey.has(key)) byKey.set(key, section);
+    }
+  }
+
+  const unmatched = new Set();
+  const currencies = new Set();
+  for (const ticket of tickets || []) {
+    const section = byKey.get(sectionKey(ticket.section));
+    if (!section) {
+      if (ticket.section) unmatched.add(ticket.section);
+      continue;
+    }
+    section.listings += 1;
+    section.quantity += ticket.quantity || 0;
+    if (ticket.price != null) {
+      section.minPrice =
+        section.minPrice === null
+          ? ticket.price
+          : Math.min(section.minPrice, ticket.price);
+      if (ticket.currency) currencies.add(ticket.currency);
+    }
+  }
+
+  const valueOf = (section) =>
+    mode === "availability" ? section.listings || null : section.minPrice;
+  const values = sections.map(valueOf).filter((value) => value !== null);
+  const range = values.length
+    ? { min: Math.min(...values), max: Math.max(...values) }
+    : null;
+  const position = (value) =>
+    range.max === range.min ? 0 : (value - range.min) / (range.max - range.min);
+
+  for (const section of sections) {
+    const value = valueOf(section);
+    if (value !== null) section.color = colorAt(mode, position(value));
+  }
+
+  // Prices in mixed currencies can't share a scale label
+  const currency = currencies.size === 1 ? [...currencies][0] : null;
+  const steps = range && range.max > range.min ? LEGEND_STEPS : 1;
+  const legend = range
+    ? Array.from({ length: steps }, (_, i) => {
+        const t = steps === 1 ? 0 : i / (steps - 1);
+        const value = range.min + (range.max - range.min) * t;
+        return {
+          value,
+          label: formatValue(mode, value, currency),
+          color: colorAt(mode, t),
+        };
+      })
+    : [];
+  legend.push({ value: null, label: "No listings", color: NO_LISTINGS_COLOR });
+
+  return {
+    mode,
+    currency,
+    range,
+    legend,
+    sections,
+    unmatched: [...unmatched],
+  };
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;");
+}
+
+function describeSection(section, heatmap) {
+  const name = section.name || section.id;
+  if (section.listings === 0) return `${name}: no listings`;
+  const from =
+    section.minPrice !== null
+      ? ` from ${formatValue("price", section.minPrice, heatmap.currency)}`
+      : "";
+  return `${name}: ${section.listings} listing(s)${from}`;
+}
+
+const round = (value) => Math.round(value * 10) / 10;
+
+// One swatch and label per legend entry, spread across the map width
+function renderLegend(heatmap, { x, y, width, height }) {
+  const slot = width / heatmap.legend.length;
+  const size = round(height * 0.4);
+  const items = heatmap.legend.map((item, i) => {
+    const left = x + i * slot;
+    const top = y + (height - size) / 2;
+    return (
+      `<rect x="${round(left)}" y="${round(top)}" width="${size}" height="${size}" fill="${item.color}"/>` +
+      `<text x="${round(left + size * 1.3)}" y="${round(top + size * 0.85)}" font-size="${size}" font-family="sans-serif">${escapeText(item.label)}</text>`
+    );
+  });
+  return `<g class="heatmap-legend">${items.join("")}</g>`;
+}
+
+// Returns the sanitized map SVG with every section filled and a legend
+// strip added below it, or null when no SVG map was captured
+export function renderHeatmapSvg(svgMarkup, heatmap) {
+  if (!svgMarkup) return null;
+  const $ = cheerio.load(svgMarkup, {
+    xmlMode: true,
+    decodeEntities: false,
+  });
+  const svg = $("svg").first();
+  if (svg.length === 0) return null;
+
+  const byId = new Map(heatmap.sections.map((s) => [String(s.id), s]));
+  svg.find("[data-section-id]").each((_, node) => {
+    const el = $(node);
+    const section = byId.get(el.attr("data-section-id"));
+    if (!section) return;
+    el.find(SHAPES)
+      .addBack()
+      .attr("fill", section.color)
+      .css("fill", section.color);
+    el.find("title").remove();
+    el.prepend(
+      `<title>${escapeText(describeSection(section, heatmap))}</title>`
+    );
+  });
+
+  // Grow the viewBox downwards to make room for the legend
+  const [x = 0, y = 0, width = 200, height = 100] = (svg.attr("viewBox") || "")
+    .split(/[\s,]+/)
+    .filter(Boolean)
+    .map(Number);
+  const legendHeight = round(width * LEGEND_RATIO);
+  svg.attr("viewBox", `${x} ${y} ${width} ${height + legendHeight}`);
+  svg.removeAttr("height");
+  if (!svg.attr("xmlns")) svg.attr("xmlns", "http://www.w3.org/2000/svg");
+  svg.append(
+    renderLegend(heatmap, { x, y: y + height, width, height: legendHeight })
+  );
+
+  return $.xml(svg);
+}
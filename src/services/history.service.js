@@ -0,0 +1,265 @@
+// Price history: one snapshot per successful fetch, bucketed queries and
+// a retention policy that compacts old snapshots into coarser ones
+import PriceHistory from "../models/PriceHistory.js";
+import { median, summarize } from "../utils/stats.utils.js";
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Raw snapshots become hourly, hourly become daily, daily are dropped
+const RETENTION_POLICY = [
+  {
+    from: "raw",
+    to: "1h",
+    bucket: HOUR,
+    maxAge: (parseInt(process.env.HISTORY_RAW_RETENTION_HOURS) || 48) * HOUR,
+  },
+  {
+    from: "1h",
+    to: "1d",
+    bucket: DAY,
+    maxAge: (parseInt(process.env.HISTORY_HOURLY_RETENTION_DAYS) || 30) * DAY,
+  },
+  {
+    from: "1d",
+    to: null,
+    bucket: DAY,
+    maxAge: (parseInt(process.env.HISTORY_DAILY_RETENTION_DAYS) || 365) * DAY,
+  },
+];
+
+const sectionOf = (ticket) => ticket.section || ticket.sectionRow || "UNKNOWN";
+
+// Groups current listings by section and summarizes their prices
+export function summarizeSections(tickets) {
+  const groups = new Map();
+  for (const ticket of tickets) {
+    const key = sectionOf(ticket);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(ticket);
+  }
+
+  return [...groups].map(([section, listings]) => {
+    const { min, median, max } = summarize(listings.map((t) => t.price));
+    const quantities = listings
+      .map((t) => t.quantity)
+      .filter((q) => typeof q === "number");
+    return {
+      section,
+      min,
+      median,
+      max,
+      listings: listings.length,
+      quantity: quantities.length
+        ? quantities.reduce((sum, q) => sum + q, 0)
+        : null,
+    };
+  });
+}
+
+export async function recordSnapshot(ticketUrl, tickets, { runId } = {}) {
+  const plainTickets = tickets.map((t) => (t.toObject ? t.toObject() : t));
+  return PriceHistory.create({
+    ticketUrl: ticketUrl._id,
+    eventId: ticketUrl.eventId,
+    fetchRun: runId || null,
+    timestamp: new Date(),
+    listingCount: plainTickets.length,
+    sections: summarizeSections(plainTickets),
+    tickets: plainTickets,
+  });
+}
+
+// Merges section summaries from several snapshots. The merged median is the
+// median of the per-snapshot medians, which is exact for a single snapshot
+// and a close approximation otherwise.
+function mergeSections(snapshots) {
+  const groups = new Map();
+  for (const snapshot of snapshots) {
+    for (const s of snapshot.sections) {
+      if (!groups.has(s.section)) groups.set(s.section, []);
+      groups.get(s.section).push(s);
+    }
+  }
+
+  return [...groups].map(([section, entries]) => {
+    const mins = entries.map((e) => e.min).filter((v) => v != null);
+    const maxes = entries.map((e) => e.max).filter((v) => v != null);
+    return {
+      section,
+      min: mins.length ? Math.min(...mins) : null,
+      median: median(entries.map((e) => e.median)),
+      max: maxes.length ? Math.max(...maxes) : null,
+      listings: Math.round(
+        entries.reduce((sum, e) => sum + (e.listings || 0), 0) / entries.length
+      ),
+      quantity: entries.some((e) => e.quantity != null)
+        ? Math.round(
+            entries.reduce((sum, e) => sum + (e.quantity || 0), 0) /
+              entries.length
+          )
+        : null,
+    };
+  });
+}
+
+function groupByBucket(snapshots, bucketMs) {
+  const buckets = new Map();
+  for (const snapshot of snapshots) {
+    const start = Math.floor(snapshot.timestamp.getTime() / bucketMs) * bucketMs;
+    if (!buckets.has(start)) buckets.set(start, []);
+    buckets.get(start).push(snapshot);
+  }
+  return buckets;
+}
+
+// Streaming counterpart of groupByBucket for snapshots sorted by time:
+// yields one merged snapshot per bucket as soon as the bucket is complete
+export async function* bucketSnapshots(snapshots, bucketMs) {
+  let start = null;
+  let group = [];
+  const merged = () => ({
+    ...group[0],
+    timestamp: new Date(start),
+    samples: group.reduce((sum, s) => sum + (s.samples || 1), 0),
+    sections: mergeSections(group),
+  });
+
+  for await (const snapshot of snapshots) {
+    const bucket =
+      Math.floor(snapshot.timestamp.getTime() / bucketMs) * bucketMs;
+    if (group.length && bucket !== start) {
+      yield merged();
+      group = [];
+    }
+    start = bucket;
+    group.push(snapshot);
+  }
+  if (group.length) yield merged();
+}
+
+// Returns min/median/max per section over time, one point per bucket.
+// Without a bucket every stored snapshot is its own point.
+export async function getHistory(
+  ticketUrlId,
+  { section, from, to, bucketMs } = {}
+) {
+  const query = { ticketUrl: ticketUrlId };
+  if (from || to) {
+    query.timestamp = {};
+    if (from) query.timestamp.$gte = from;
+    if (to) query.timestamp.$lte = to;
+  }
+  if (section) {
+    query["sections.section"] = section;
+  }
+
+  const snapshots = await PriceHistory.find(query)
+    .select("-tickets")
+    .sort({ timestamp: 1 })
+    .lean();
+
+  const points = bucketMs
+    ? [...groupByBucket(snapshots, bucketMs)].map(([start, group]) => ({
+        timestamp: new Date(start),
+        samples: group.reduce((sum, s) => sum + (s.samples || 1), 0),
+        sections: mergeSections(group),
+      }))
+    : snapshots.map((s) => ({
+        timestamp: s.timestamp,
+        samples: s.samples || 1,
+        sections: s.sections,
+      }));
+
+  // Pivot into one series per section, which is what charts want
+  const series = new Map();
+  for (const point of points) {
+    for (const s of point.sections) {
+      if (section && s.section !== section) continue;
+      if (!series.has(s.section)) series.set(s.section, []);
+      series.get(s.section).push({
+        timestamp: point.timestamp,
+        min: s.min,
+        median: s.median,
+        max: s.max,
+        listings: s.listings,
+        samples: point.samples,
+      });
+    }
+  }
+
+  return [...series].map(([name, data]) => ({ section: name, points: data }));
+}
+
+async function compactResolution({ from, to, bucket, maxAge }) {
+  // Only compact whole buckets so a bucket is never split across runs
+  const cutoff = new Date(Math.floor((Date.now() - maxAge) / bucket) * bucket);
+
+  if (!to) {
+    const { deletedCount } = await PriceHistory.deleteMany({
+      resolution: from,
+      timestamp: { $lt: cutoff },
+    });
+    return deletedCount;
+  }
+
+  const ticketUrlIds = await PriceHistory.distinct("ticketUrl", {
+    resolution: from,
+    timestamp: { $lt: cutoff },
+  });
+
+  let compacted = 0;
+  for (const ticketUrlId of ticketUrlIds) {
+    const snapshots = await PriceHistory.find({
+      ticketUrl: ticketUrlId,
+      resolution: from,
+      timestamp: { $lt: cutoff },
+    })
+      .select("-tickets")
+      .sort({ timestamp: 1 })
+      .lean();
+
+    const merged = [...groupByBucket(snapshots, bucket)].map(
+      ([start, group]) => ({
+        ticketUrl: ticketUrlId,
+        eventId: group[0].eventId,
+        timestamp: new Date(start),
+        resolution: to,
+        samples: group.reduce((sum, s) => sum + (s.samples || 1), 0),
+        listingCount: Math.round(
+          group.reduce((sum, s) => sum + s.listingCount, 0) / group.length
+        ),
+        sections: mergeSections(group),
+      })
+    );
+
+    // Upserted by bucket, so a run that stopped before the delete below
+    // rewrites the same buckets instead of inserting duplicates
+    await PriceHistory.bulkWrite(
+      merged.map(({ ticketUrl, resolution, timestamp, ...fields }) => ({
+        updateOne: {
+          filter: { ticketUrl, resolution, timestamp },
+          update: { $set: fields },
+          upsert: true,
+        },
+      }))
+    );
+    await PriceHistory.deleteMany({ _id: { $in: snapshots.map((s) => s._id) } });
+    compacted += snapshots.length;
+  }
+  return compacted;
+}
+
+// Applies the retention policy. Safe to run repeatedly.
+export async function compactHistory() {
+  for (const step of RETENTION_POLICY) {
+    const count = await compactResolution(step);
+    if (count > 0) {
+      console.log(
+        `🗜️ History: ${count} ${step.from} snapshots ${
+          step.to ? `compacted into ${step.to}` : "deleted"
+        }`
+      );
+    }
+  }
+}
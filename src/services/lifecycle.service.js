@@ -0,0 +1,81 @@
+// Event lifecycle: only "active" TicketUrls are polled. Events move to
+// "expired" once their date has passed, "paused" and "archived" are set
+// by hand. Nothing is deleted, so price history and runs stay queryable.
+import TicketUrl from "../models/TicketUrl.js";
+import { eventDateFromUrl } from "../utils/url.utils.js";
+
+export const STATUSES = ["active", "paused", "archived", "expired"];
+
+// Time after the event start before it counts as over
+const EXPIRE_AFTER =
+  (parseInt(process.env.EVENT_EXPIRE_AFTER_HOURS) || 6) * 60 * 60 * 1000;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Statuses each action may be applied from
+const TRANSITIONS = {
+  pause: { from: ["active"], to: "paused" },
+  resume: { from: ["paused", "archived", "expired"], to: "active" },
+  archive: { from: ["active", "paused", "expired"], to: "archived" },
+};
+
+// Documents created before the lifecycle existed have no status
+export const activeFilter = { status: { $in: ["active", null] } };
+
+function transitionError(message, status) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+export async function applyTransition(ticketUrl, action) {
+  const transition = TRANSITIONS[action];
+  const current = ticketUrl.status || "active";
+  if (!transition.from.includes(current)) {
+    throw transitionError(`Cannot ${action} a ${current} event`, 409);
+  }
+  if (transition.to === "active" && ticketUrl.isPast) {
+    throw transitionError("Event date has already passed", 409);
+  }
+
+  ticketUrl.status = transition.to;
+  ticketUrl.statusChangedAt = new Date();
+  if (transition.to === "active") {
+    ticketUrl.schedule.nextRunAt = new Date();
+    ticketUrl.schedule.consecutiveFailures = 0;
+  }
+  await ticketUrl.save();
+  return ticketUrl;
+}
+
+// Marks active events whose date has passed as expired
+export async function expirePastEvents(now = Date.now()) {
+  const cutoff = new Date(now - EXPIRE_AFTER);
+  const update = {
+    $set: { status: "expired", statusChangedAt: new Date(now) },
+  };
+
+  const { modifiedCount } = await TicketUrl.updateMany(
+    { ...activeFilter, "event.date": { $lt: cutoff } },
+    update
+  );
+
+  // Not fetched yet, fall back to the date in the URL slug. It has no
+  // time of day, so give it the rest of that day as well.
+  const undated = await TicketUrl.find({
+    ...activeFilter,
+    "event.date": null,
+  }).select("url");
+  const slugExpired = undated
+    .filter((ticketUrl) => {
+      const date = eventDateFromUrl(ticketUrl.url);
+      return date && date.getTime() + DAY < cutoff.getTime();
+    })
+    .map((ticketUrl) => ticketUrl._id);
+  if (slugExpired.length > 0) {
+    await TicketUrl.updateMany({ _id: { $in: slugExpired } }, update);
+  }
+
+  const expired = modifiedCount + slugExpired.length;
+  if (expired > 0) console.log(`📦 Expired ${expired} past event(s)`);
+  return expired;
+}
@@ -0,0 +1,206 @@
+// Turns the offer/facet JSON the event page loads over XHR into listings.
+// Known payload shapes:
+//   { _embedded: { offer: [{ offerId, listingId, section, row, seatFrom,
+//       seatTo, listPrice, totalPrice, currency, inventoryType,
+//       sellableQuantities }] } }
+//   { picks: [{ id, section, row, offerGroups: [{ offers: [offerId], seats }] }] }
+//   { facets: [{ section, offers: [offerId], count, listPriceRange: [{ min, currency }] }] }
+// Offers are the inventory and are merged by listing id, later responses
+// win. Picks only annotate the offers they reference.
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+const toNumber = (value) => {
+  const number = typeof value === "string" ? parseFloat(value) : value;
+  return typeof number === "number" && Number.isFinite(number) ? number : null;
+};
+
+const upper = (value) =>
+  value === undefined || value === null || value === ""
+    ? null
+    : String(value).toUpperCase();
+
+function describe({ section, row, seatFrom, seatTo, quantity }) {
+  return [
+    section && `Sec ${section}`,
+    row && `Row ${row}`,
+    seatFrom != null &&
+      (seatTo != null && seatTo !== seatFrom
+        ? `Seats ${seatFrom}-${seatTo}`
+        : `Seat ${seatFrom}`),
+    seatFrom == null && quantity && `${quantity} Tickets`,
+  ]
+    .filter(Boolean)
+    .join(" • ");
+}
+
+function buildListing(fields, timestamp) {
+  const listing = {
+    listingId: String(fields.listingId),
+    section: upper(fields.section),
+    row: upper(fields.row),
+    seatFrom: toNumber(fields.seatFrom),
+    seatTo: toNumber(fields.seatTo ?? fields.seatFrom),
+    quantity: toNumber(fields.quantity),
+    type: fields.type || "",
+    price: toNumber(fields.price),
+    currency: fields.currency ? String(fields.currency).toUpperCase() : null,
+    perTicket: true,
+    feesIncluded: Boolean(fields.feesIncluded),
+    timestamp,
+    source: "network",
+  };
+  listing.sectionRow = describe(listing);
+  listing.priceText =
+    listing.price != null
+      ? `${listing.price.toFixed(2)} ${listing.currency || ""}`.trim()
+      : "";
+  return listing;
+}
+
+// Prefers the list price; falls back to the all-in total
+function offerPrice(offer) {
+  const list = toNumber(offer.listPrice ?? offer.price?.list ?? offer.faceValue);
+  if (list !== null) return { price: list, feesIncluded: false };
+  const total = toNumber(offer.totalPrice ?? offer.price?.total);
+  return { price: total, feesIncluded: total !== null };
+}
+
+function offerQuantity(offer) {
+  const sellable = asArray(offer.sellableQuantities).map(toNumber).filter(Boolean);
+  if (sellable.length) return Math.max(...sellable);
+  const seatFrom = toNumber(offer.seatFrom);
+  const seatTo = toNumber(offer.seatTo);
+  if (seatFrom !== null && seatTo !== null && seatTo >= seatFrom) {
+    return seatTo - seatFrom + 1;
+  }
+  return toNumber(offer.quantity);
+}
+
+const offersOf = (payload) =>
+  asArray(payload?._embedded?.offer ?? payload?.offers);
+
+// One key per offer whichever payload it came from, so a listing keeps its
+// id between polls
+const offerKey = (offer) =>
+  String(offer.listingId || offer.offerId || offer.id);
+
+function fromOffers(payload, timestamp) {
+  return offersOf(payload)
+    .filter((offer) => offer && (offer.offerId || offer.listingId || offer.id))
+    .map((offer) =>
+      buildListing(
+        {
+          listingId: offerKey(offer),
+          section: offer.section,
+          row: offer.row,
+          seatFrom: offer.seatFrom,
+          seatTo: offer.seatTo,
+          quantity: offerQuantity(offer),
+          type: offer.inventoryType || offer.offerType || "",
+          currency: offer.currency,
+          ...offerPrice(offer),
+        },
+        timestamp
+      )
+    );
+}
+
+// Quick picks reference offers by id. They fill in what the referenced
+// offer's listing lacks (seats, section, row); a pick whose offers were not
+// captured becomes a listing of its own, keyed on its first offer id.
+function applyPicks(payload, listings, offersById, timestamp) {
+  for (const pick of asArray(payload?.picks)) {
+    for (const group of asArray(pick.offerGroups)) {
+      const ids = asArray(group.offers).map(String);
+      if (ids.length === 0) continue;
+
+      const offer = ids.map((id) => offersById.get(id)).find(Boolean);
+      const key = offer ? offerKey(offer) : ids[0];
+      const listing = listings.get(key) || {};
+      const seats = asArray(group.seats)
+        .map(toNumber)
+        .filter((s) => s !== null);
+      listings.set(
+        key,
+        buildListing(
+          {
+            ...listing,
+            listingId: key,
+            section: listing.section ?? pick.section,
+            row: listing.row ?? pick.row,
+            seatFrom:
+              listing.seatFrom ?? (seats.length ? Math.min(...seats) : null),
+            seatTo:
+              listing.seatTo ?? (seats.length ? Math.max(...seats) : null),
+            quantity: listing.quantity ?? (seats.length || null),
+            type: listing.type || pick.type || "",
+            price: listing.price ?? null,
+          },
+          timestamp
+        )
+      );
+    }
+  }
+}
+
+// Facets only carry per-section aggregates: one listing per section
+function fromFacets(payload, timestamp) {
+  return asArray(payload?.facets)
+    .filter((facet) => facet.section)
+    .map((facet) => {
+      const range = asArray(facet.listPriceRange)[0] || {};
+      return buildListing(
+        {
+          listingId: `facet-${facet.section}-${facet.inventoryTypes || ""}`,
+          section: facet.section,
+          quantity: toNumber(facet.count),
+          type: asArray(facet.inventoryTypes).join(",") || "",
+          price: toNumber(range.min),
+          currency: range.currency,
+        },
+        timestamp
+      );
+    });
+}
+
+// Merges every captured response ([{ url, data }]) into one inventory.
+// Returns [] when no payload had a recognizable shape. Listings without a
+// currency get the site's `defaultCurrency`.
+export function extractTicketsFromNetwork(responses, { defaultCurrency } = {}) {
+  const timestamp = new Date();
+  const payloads = asArray(responses)
+    .map((r) => r?.data)
+    .filter((data) => data && typeof data === "object");
+
+  const offersById = new Map();
+  for (const payload of payloads) {
+    for (const offer of offersOf(payload)) {
+      if (offer?.offerId) offersById.set(String(offer.offerId), offer);
+    }
+  }
+
+  const listings = new Map();
+  const add = (items) => items.forEach((l) => listings.set(l.listingId, l));
+
+  // Every offer first, including those of payloads that also carry picks
+  payloads.forEach((payload) => add(fromOffers(payload, timestamp)));
+  payloads.forEach((payload) =>
+    applyPicks(payload, listings, offersById, timestamp)
+  );
+
+  // Section aggregates are only used when no payload had real listings
+  if (listings.size === 0) {
+    payloads.forEach((payload) => add(fromFacets(payload, timestamp)));
+  }
+
+  return [...listings.values()].map((listing) =>
+    listing.currency || !defaultCurrency
+      ? listing
+      : {
+          ...listing,
+          currency: defaultCurrency,
+          priceText: listing.priceText && `${listing.priceText} ${defaultCurrency}`,
+        }
+  );
+}
@@ -0,0 +1,264 @@
+// Fetch job queue with a bounded pool of workers. The poller and the manual
+// fetch route both submit here, so one event is never fetched twice at once.
+import crypto from "crypto";
+import TicketUrl from "../models/TicketUrl.js";
+import {
+  fetchAvailableTickets,
+  ticketEmitter,
+} from "./ticketmaster.service.js";
+import { saveFetchResult } from "./tracker.service.js";
+import { classifyResult, recordRun } from "./scheduler.service.js";
+import { createRunRecorder, finishRun, startRun } from "./fetchRun.service.js";
+
+const WORKERS = parseInt(process.env.FETCH_WORKERS) || 2;
+const JOB_TIMEOUT = (parseInt(process.env.FETCH_JOB_TIMEOUT) || 600) * 1000; // 10 minutes
+const MAX_FINISHED_JOBS = 100;
+
+const queue = [];
+const running = new Map();
+const finished = [];
+
+function jobError(message, code) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function describeJob(job) {
+  return {
+    id: job.id,
+    ticketUrlId: job.ticketUrlId,
+    eventId: job.eventId,
+    url: job.url,
+    source: job.source,
+    runId: job.runId,
+    status: job.status,
+    outcome: job.outcome,
+    error: job.error,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    finishedAt: job.finishedAt,
+  };
+}
+
+// Progress for socket clients: every status change and each fetch step
+function emitStatus(job, step = null) {
+  ticketEmitter.emit("fetchStatus", {
+    ...describeJob(job),
+    step,
+    timestamp: new Date(),
+  });
+}
+
+// The same event id can be tracked on several sites, so jobs are keyed by
+// TicketUrl rather than eventId
+function findActiveJob(ticketUrlId) {
+  return (
+    [...running.values()].find((job) => job.ticketUrlId === ticketUrlId) ||
+    queue.find((job) => job.ticketUrlId === ticketUrlId)
+  );
+}
+
+async function executeJob(job) {
+  const ticketUrl = await TicketUrl.findById(job.ticketUrlId);
+  if (!ticketUrl) {
+    throw jobError("TicketUrl no longer exists", "NOT_FOUND");
+  }
+
+  const run = await startRun(ticketUrl, { jobId: job.id, source: job.source });
+  const recorder = createRunRecorder({
+    onStep: (step) => emitStatus(job, step),
+  });
+  job.runId = run._id.toString();
+
+  try {
+    const result = await fetchAvailableTickets(ticketUrl.url, {
+      signal: job.controller.signal,
+      run: recorder,
+    });
+    job.controller.signal.throwIfAborted();
+    await finishRun(run, recorder, { result });
+
+    const { changes, alerts } = await saveFetchResult(ticketUrl, result, {
+      runId: run._id,
+    });
+    job.outcome = classifyResult(result);
+    await recordRun(ticketUrl, job.outcome);
+    return { ticketUrl, result, changes, alerts, outcome: job.outcome };
+  } catch (err) {
+    job.outcome = "failed";
+    if (!run.finishedAt) {
+      await finishRun(run, recorder, { error: err }).catch((e) =>
+        console.error(`Failed to record fetch run ${run._id}:`, e.message)
+      );
+    }
+    await recordRun(ticketUrl, "failed").catch((e) =>
+      console.error(`Failed to reschedule ${ticketUrl.url}:`, e.message)
+    );
+    throw err;
+  }
+}
+
+function finishJob(job, status, error) {
+  job.status = status;
+  job.error = error ? error.message : null;
+  job.finishedAt = new Date();
+  running.delete(job.id);
+  finished.push(job);
+  if (finished.length > MAX_FINISHED_JOBS) {
+    finished.shift();
+  }
+  emitStatus(job);
+}
+
+// Rejects with the abort reason, so a step that ignores the signal (launching
+// the browser, a Mongo call) can't keep the worker slot after a timeout or
+// cancel
+function whenAborted(signal) {
+  return new Promise((resolve, reject) => {
+    if (signal.aborted) return reject(signal.reason);
+    signal.addEventListener("abort", () => reject(signal.reason), {
+      once: true,
+    });
+  });
+}
+
+async function runWorker(job) {
+  job.status = "running";
+  job.startedAt = new Date();
+  running.set(job.id, job);
+  emitStatus(job);
+
+  const timer = setTimeout(
+    () =>
+      job.controller.abort(
+        jobError(`Fetch timed out after ${job.timeoutMs / 1000}s`, "FETCH_TIMEOUT")
+      ),
+    job.timeoutMs
+  );
+
+  try {
+    const execution = executeJob(job);
+    // It may still settle after losing the race below
+    execution.catch(() => {});
+    const value = await Promise.race([
+      execution,
+      whenAborted(job.controller.signal),
+    ]);
+    finishJob(job, "completed");
+    job.resolve(value);
+  } catch (err) {
+    const status =
+      err.code === "FETCH_CANCELLED"
+        ? "cancelled"
+        : err.code === "FETCH_TIMEOUT"
+        ? "timeout"
+        : "failed";
+    console.error(`❌ Fetch job ${job.id} ${status}:`, err.message);
+    finishJob(job, status, err);
+    job.reject(err);
+  } finally {
+    clearTimeout(timer);
+    drain();
+  }
+}
+
+function drain() {
+  while (running.size < WORKERS && queue.length > 0) {
+    runWorker(queue.shift());
+  }
+}
+
+// Queues a fetch of one TicketUrl. If that event already has a queued or
+// running job, the existing job is returned instead of a new one.
+export function submitFetch(ticketUrl, { source = "manual", timeoutMs } = {}) {
+  const existing = findActiveJob(ticketUrl._id.toString());
+  if (existing) return existing;
+
+  const job = {
+    id: crypto.randomUUID(),
+    ticketUrlId: ticketUrl._id.toString(),
+    eventId: ticketUrl.eventId,
+    url: ticketUrl.url,
+    source,
+    runId: null,
+    status: "queued",
+    outcome: null,
+    error: null,
+    createdAt: new Date(),
+    startedAt: null,
+    finishedAt: null,
+    timeoutMs: timeoutMs || JOB_TIMEOUT,
+    controller: new AbortController(),
+  };
+  job.promise = new Promise((resolve, reject) => {
+    job.resolve = resolve;
+    job.reject = reject;
+  });
+  // Callers that don't await the job shouldn't cause unhandled rejections
+  job.promise.catch(() => {});
+
+  // Manual fetches jump ahead of scheduled ones
+  if (source === "manual") {
+    queue.unshift(job);
+  } else {
+    queue.push(job);
+  }
+  emitStatus(job);
+  drain();
+  return job;
+}
+
+export function cancelJob(jobId) {
+  const cancelled = jobError("Fetch cancelled", "FETCH_CANCELLED");
+
+  const index = queue.findIndex((job) => job.id === jobId);
+  if (index !== -1) {
+    const [job] = queue.splice(index, 1);
+    finishJob(job, "cancelled", cancelled);
+    job.reject(cancelled);
+    return describeJob(job);
+  }
+
+  const job = running.get(jobId);
+  if (job) {
+    job.controller.abort(cancelled);
+    return describeJob(job);
+  }
+  return null;
+}
+
+// Cancels every queued or running job for a TicketUrl, e.g. before deleting it
+export function cancelJobsFor(ticketUrlId) {
+  const id = ticketUrlId.toString();
+  return [...running.values(), ...queue]
+    .filter((job) => job.ticketUrlId === id)
+    .map((job) => cancelJob(job.id));
+}
+
+// Number of jobs that can still be queued without waiting behind others
+export function availableSlots() {
+  return Math.max(WORKERS - running.size - queue.length, 0);
+}
+
+// TicketUrl ids with a queued or running job
+export function activeTicketUrlIds() {
+  return [...running.values(), ...queue].map((job) => job.ticketUrlId);
+}
+
+export function getJob(jobId) {
+  const job =
+    running.get(jobId) ||
+    queue.find((j) => j.id === jobId) ||
+    finished.find((j) => j.id === jobId);
+  return job ? describeJob(job) : null;
+}
+
+export function listJobs() {
+  return {
+    workers: WORKERS,
+    running: [...running.values()].map(describeJob),
+    queued: queue.map(describeJob),
+    finished: [...finished].reverse().map(describeJob),
+  };
+}
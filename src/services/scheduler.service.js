@@ -0,0 +1,95 @@
+// Per-URL polling schedule: each TicketUrl has its own interval, priority
+// and next run time, with exponential backoff after failed or empty fetches
+import TicketUrl from "../models/TicketUrl.js";
+import { isBlockedResult } from "./tracker.service.js";
+import { eventDateFromUrl } from "../utils/url.utils.js";
+import { activeFilter } from "./lifecycle.service.js";
+
+const DEFAULT_INTERVAL =
+  (parseInt(process.env.POLL_DEFAULT_INTERVAL) || 120) * 1000; // 2 minutes
+const MIN_INTERVAL = 30 * 1000;
+const MAX_BACKOFF = 60 * 60 * 1000; // 1 hour
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Stored event date, or the one in the URL slug before the first fetch
+export function eventDateOf(ticketUrl) {
+  return ticketUrl.event?.date || eventDateFromUrl(ticketUrl.url);
+}
+
+// Events that are about to happen are polled more often
+function proximityFactor(eventDate, now) {
+  if (!eventDate) return 1;
+  const remaining = eventDate.getTime() - now;
+  if (remaining < DAY) return 0.25;
+  if (remaining < 3 * DAY) return 0.5;
+  if (remaining < 14 * DAY) return 1;
+  return 2;
+}
+
+export function classifyResult(result) {
+  if (!result || isBlockedResult(result)) return "failed";
+  return result.tickets && result.tickets.length > 0 ? "success" : "empty";
+}
+
+// Delay until the next run in milliseconds
+export function computeDelay(ticketUrl, now = Date.now()) {
+  const schedule = ticketUrl.schedule || {};
+  const base = schedule.intervalSeconds
+    ? schedule.intervalSeconds * 1000
+    : DEFAULT_INTERVAL;
+  const eventDate = eventDateOf(ticketUrl);
+
+  let delay = base * proximityFactor(eventDate, now);
+  if (schedule.consecutiveFailures > 0) {
+    delay = Math.min(
+      delay * 2 ** schedule.consecutiveFailures,
+      Math.max(MAX_BACKOFF, delay)
+    );
+  }
+  return Math.max(delay, MIN_INTERVAL);
+}
+
+// Returns due active TicketUrls, highest priority first, then longest overdue
+export async function getDueTicketUrls(limit, excludeIds = []) {
+  return TicketUrl.find({
+    ...activeFilter,
+    _id: { $nin: excludeIds },
+    $or: [
+      { "schedule.nextRunAt": { $lte: new Date() } },
+      { "schedule.nextRunAt": { $exists: false } },
+    ],
+  })
+    .sort({ "schedule.priority": -1, "schedule.nextRunAt": 1 })
+    .limit(limit);
+}
+
+// Records the outcome of a run and schedules the next one
+export async function recordRun(ticketUrl, outcome) {
+  const now = Date.now();
+  ticketUrl.schedule.lastRunAt = new Date(now);
+  ticketUrl.schedule.lastOutcome = outcome;
+  ticketUrl.schedule.consecutiveFailures =
+    outcome === "success" ? 0 : ticketUrl.schedule.consecutiveFailures + 1;
+  ticketUrl.schedule.nextRunAt = new Date(now + computeDelay(ticketUrl, now));
+  await ticketUrl.save();
+}
+
+export function describeSchedule(ticketUrl) {
+  const schedule = ticketUrl.schedule || {};
+  return {
+    id: ticketUrl._id,
+    eventId: ticketUrl.eventId,
+    url: ticketUrl.url,
+    status: ticketUrl.status || "active",
+    intervalSeconds: schedule.intervalSeconds,
+    effectiveIntervalSeconds: Math.round(computeDelay(ticketUrl) / 1000),
+    priority: schedule.priority,
+    nextRunAt: schedule.nextRunAt,
+    lastRunAt: schedule.lastRunAt,
+    lastOutcome: schedule.lastOutcome,
+    consecutiveFailures: schedule.consecutiveFailures,
+    eventDate: eventDateOf(ticketUrl),
+  };
+}
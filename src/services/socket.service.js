@@ -0,0 +1,208 @@
+// Socket.IO protocol. Clients authenticate with one of SOCKET_TOKENS
+// (handshake `auth.token`, a Bearer header or `?token=`) and subscribe to
+// events with optional filters:
+//
+//   socket.emit("subscribe", { eventId, sections: ["101-120", "FLOOR"], maxPrice: 150 }, ack)
+//   socket.emit("unsubscribe", { eventId }, ack)
+//
+// Messages, only for subscribed events and filtered per subscription:
+//   snapshot      stored listings, sent right after subscribing
+//   ticketUpdate  listings and venueId after every successful fetch
+//   changes       detected changes
+//   anomaly       each ANOMALY change on its own, with score and explanation
+//   alert         fired alert rules
+//   fetchStatus   queue job progress: queued, running (with step), completed, ...
+import TicketUrl from "../models/TicketUrl.js";
+import { ticketEmitter } from "./ticketmaster.service.js";
+import { matchesSections } from "./alert.service.js";
+import { bearerToken, isValidToken, TOKENS } from "../utils/token.utils.js";
+
+const room = (eventId) => `event-${eventId}`;
+
+function tokenOf(socket) {
+  const { auth, headers, query } = socket.handshake;
+  return auth?.token || bearerToken(headers.authorization) || query?.token;
+}
+
+// Socket.IO middleware; the client gets a connect_error with data.code
+function authenticate(socket, next) {
+  if (isValidToken(tokenOf(socket))) return next();
+  const err = new Error("Unauthorized");
+  err.data = { code: "UNAUTHORIZED" };
+  next(err);
+}
+
+// A bare eventId string is still accepted from older clients
+export function parseSubscription(payload) {
+  const { eventId, sections, maxPrice } =
+    typeof payload === "string" ? { eventId: payload } : payload || {};
+
+  if (typeof eventId !== "string" || !eventId.trim()) {
+    return { error: "eventId is required" };
+  }
+  if (
+    maxPrice !== undefined &&
+    maxPrice !== null &&
+    !Number.isFinite(Number(maxPrice))
+  ) {
+    return { error: "maxPrice must be a number" };
+  }
+
+  return {
+    eventId: eventId.trim(),
+    sections: (Array.isArray(sections)
+      ? sections
+      : String(sections || "").split(",")
+    )
+      .map((section) => String(section).trim())
+      .filter(Boolean),
+    maxPrice:
+      maxPrice === undefined || maxPrice === null ? null : Number(maxPrice),
+  };
+}
+
+function ticketMatches(ticket, filter) {
+  const section = ticket.section || ticket.sectionRow;
+  if (!matchesSections(section, filter.sections)) return false;
+  return (
+    filter.maxPrice === null ||
+    (ticket.price != null && ticket.price <= filter.maxPrice)
+  );
+}
+
+// Changes without a section (SOLD_OUT) concern every subscriber
+function changeMatches(change, filter) {
+  const details = change.details || {};
+  if (!details.section && !details.sectionRow) return true;
+  const price =
+    details.newPrice ??
+    details.price ??
+    details.after?.price ??
+    details.before?.price ??
+    null;
+  return ticketMatches({ ...details, price }, filter);
+}
+
+const filterTickets = (tickets, filter) =>
+  (tickets || []).filter((ticket) => ticketMatches(ticket, filter));
+
+async function sendSnapshot(socket, filter) {
+  const ticketUrls = await TicketUrl.find({ eventId: filter.eventId }).select(
+    "eventId url event status summary tickets lastChecked"
+  );
+  for (const ticketUrl of ticketUrls) {
+    socket.emit("snapshot", {
+      eventId: ticketUrl.eventId,
+      ticketUrlId: ticketUrl._id,
+      url: ticketUrl.url,
+      event: ticketUrl.event,
+      status: ticketUrl.status,
+      summary: ticketUrl.summary,
+      lastChecked: ticketUrl.lastChecked,
+      tickets: filterTickets(ticketUrl.tickets, filter),
+    });
+  }
+}
+
+// Emits `build(filter)` to every subscriber of the event; null skips one
+async function sendToSubscribers(io, eventId, type, build) {
+  const sockets = await io.in(room(eventId)).fetchSockets();
+  for (const socket of sockets) {
+    const filter = socket.data.subscriptions?.[eventId];
+    const message = filter && build(filter);
+    if (message) socket.emit(type, message);
+  }
+}
+
+function handleConnection(socket) {
+  console.log("Client connected");
+  socket.data.subscriptions = {};
+
+  socket.on("subscribe", async (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const filter = parseSubscription(payload);
+    if (filter.error) return reply({ error: filter.error });
+
+    socket.data.subscriptions[filter.eventId] = filter;
+    socket.join(room(filter.eventId));
+    reply({ success: true, subscription: filter });
+
+    try {
+      await sendSnapshot(socket, filter);
+    } catch (err) {
+      console.error(`Failed to send snapshot for ${filter.eventId}:`, err);
+    }
+  });
+
+  socket.on("unsubscribe", (payload, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    const eventId = typeof payload === "string" ? payload : payload?.eventId;
+    delete socket.data.subscriptions[eventId];
+    socket.leave(room(eventId));
+    reply({ success: true });
+  });
+
+  socket.on("disconnect", () => {
+    console.log("Client disconnected");
+  });
+}
+
+export function registerSocketHandlers(io) {
+  if (TOKENS.length === 0) {
+    console.warn(
+      "⚠️ SOCKET_TOKENS is not set, Socket.IO connections will be refused"
+    );
+  }
+  io.use(authenticate);
+  io.on("connection", handleConnection);
+
+  const forward = (event, handler) =>
+    ticketEmitter.on(event, (data) =>
+      handler(data).catch((err) =>
+        console.error(`Socket broadcast of ${event} failed:`, err)
+      )
+    );
+
+  forward("ticketUpdate", (data) =>
+    sendToSubscribers(io, data.eventId, "ticketUpdate", (filter) => ({
+      ...data,
+      tickets: filterTickets(data.tickets, filter),
+    }))
+  );
+
+  forward("ticketChanges", async (data) => {
+    await sendToSubscribers(io, data.eventId, "changes", (filter) => {
+      const changes = data.changes.filter((change) =>
+        changeMatches(change, filter)
+      );
+      return changes.length > 0 ? { ...data, changes } : null;
+    });
+
+    const anomalies = data.changes.filter((c) => c.type === "ANOMALY");
+    for (const anomaly of anomalies) {
+      await sendToSubscribers(io, data.eventId, "anomaly", (filter) =>
+        changeMatches(anomaly, filter)
+          ? {
+              eventId: data.eventId,
+              ticketUrlId: data.ticketUrlId,
+              ...anomaly,
+            }
+          : null
+      );
+    }
+  });
+
+  // Alerts carry only the matches inside the subscription filter
+  forward("alertFired", (alert) =>
+    sendToSubscribers(io, alert.eventId, "alert", (filter) => {
+      const matches = (alert.matches || []).filter((match) =>
+        changeMatches({ details: match }, filter)
+      );
+      return matches.length > 0 ? { ...alert, matches } : null;
+    })
+  );
+
+  forward("fetchStatus", (status) =>
+    sendToSubscribers(io, status.eventId, "fetchStatus", () => status)
+  );
+}
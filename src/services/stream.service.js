@@ -0,0 +1,157 @@
+// Server-Sent Events for clients that can't speak Socket.IO. Carries the
+// same messages (ticketUpdate, changes, alert, fetchStatus) with the event
+// timestamp in milliseconds as the SSE id, followed by "-<ticketUrlId>" for
+// change batches. A client reconnecting with Last-Event-ID gets the stored
+// changes it missed replayed first.
+import TicketUrl from "../models/TicketUrl.js";
+import { ticketEmitter } from "./ticketmaster.service.js";
+
+const HEARTBEAT_INTERVAL =
+  (parseInt(process.env.SSE_HEARTBEAT_SECONDS) || 15) * 1000;
+const RETRY_MS = 5000;
+const MAX_REPLAY = 500; // change batches
+
+const clients = new Set();
+
+// ticketEmitter event -> SSE event name
+const MESSAGES = {
+  ticketUpdate: "ticketUpdate",
+  ticketChanges: "changes",
+  alertFired: "alert",
+  fetchStatus: "fetchStatus",
+};
+
+function write(res, event, data, id) {
+  if (id) res.write(`id: ${id}\n`);
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
+
+const timeOf = (data) => {
+  const time = new Date(data.timestamp || Date.now()).getTime();
+  return Number.isNaN(time) ? Date.now() : time;
+};
+
+// A change batch shares its millisecond with the ticketUpdate of the same
+// fetch, so its id also names the TicketUrl: replay can then tell a client
+// that saw only the ticketUpdate from one that saw the batch too
+const idOf = (event, data) =>
+  event === "changes" && data.ticketUrlId
+    ? `${timeOf(data)}-${data.ticketUrlId}`
+    : `${timeOf(data)}`;
+
+// Orders change batches the way their ids do
+const compareBatches = (a, b) =>
+  a.timestamp - b.timestamp ||
+  String(a.ticketUrlId).localeCompare(String(b.ticketUrlId));
+
+// Per-event streams match on the TicketUrl when the message names one,
+// otherwise on the eventId
+function inScope(scope, data) {
+  if (!scope) return true;
+  if (data.ticketUrlId) return String(data.ticketUrlId) === scope.ticketUrlId;
+  return data.eventId === scope.eventId;
+}
+
+// Stored change batches after the `since` id, oldest first. Batches in the
+// same millisecond are included unless the id shows they were delivered.
+async function missedChanges(scope, since) {
+  const filter = scope ? { _id: scope.ticketUrlId } : {};
+  const ticketUrls = await TicketUrl.find({
+    ...filter,
+    "changes.timestamp": { $gte: since.timestamp },
+  }).select("eventId changes");
+
+  const batches = new Map();
+  for (const ticketUrl of ticketUrls) {
+    for (const change of ticketUrl.changes) {
+      if (!(change.timestamp >= since.timestamp)) continue;
+      const key = `${ticketUrl._id}:${change.timestamp.getTime()}`;
+      if (!batches.has(key)) {
+        batches.set(key, {
+          eventId: ticketUrl.eventId,
+          ticketUrlId: ticketUrl._id,
+          changes: [],
+          timestamp: change.timestamp,
+        });
+      }
+      batches.get(key).changes.push(change.toObject());
+    }
+  }
+  return [...batches.values()]
+    .filter((batch) => compareBatches(batch, since) > 0)
+    .sort(compareBatches)
+    .slice(-MAX_REPLAY);
+}
+
+// { timestamp, ticketUrlId } of an id written by idOf; ticketUrlId is ""
+// for messages other than change batches, which sorts before any batch
+function lastEventIdOf(req) {
+  const value = req.get("Last-Event-ID") || req.query.lastEventId;
+  const match = String(value || "").match(/^(\d+)(?:-([a-f0-9]+))?$/i);
+  if (!match) return null;
+  return {
+    timestamp: new Date(parseInt(match[1])),
+    ticketUrlId: match[2] || "",
+  };
+}
+
+// Keeps the response open until the client disconnects. `scope` is
+// { ticketUrlId, eventId } for a single event or null for everything.
+export async function openStream(req, res, scope = null) {
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no", // Stop nginx from buffering the stream
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  // Live messages wait until the replay has been written
+  const client = { scope, res, pending: [] };
+  clients.add(client);
+
+  const heartbeat = setInterval(
+    () => res.write(`: heartbeat ${Date.now()}\n\n`),
+    HEARTBEAT_INTERVAL
+  );
+  req.on("close", () => {
+    clearInterval(heartbeat);
+    clients.delete(client);
+  });
+
+  const since = lastEventIdOf(req);
+  if (since) {
+    try {
+      for (const batch of await missedChanges(scope, since)) {
+        write(res, "changes", batch, idOf("changes", batch));
+      }
+    } catch (err) {
+      console.error("SSE replay failed:", err);
+      write(res, "error", { error: "Replay failed" });
+    }
+  }
+
+  for (const [event, data] of client.pending) {
+    write(res, event, data, idOf(event, data));
+  }
+  client.pending = null;
+}
+
+export function registerStreamListeners() {
+  for (const [source, event] of Object.entries(MESSAGES)) {
+    ticketEmitter.on(source, (data) => {
+      // Raw network payloads stay server-side, as on the socket
+      const { networkData, ...message } = data;
+      for (const client of clients) {
+        if (!inScope(client.scope, message)) continue;
+        if (client.pending) {
+          client.pending.push([event, message]);
+        } else {
+          write(client.res, event, message, idOf(event, message));
+        }
+      }
+    });
+  }
+}
@@ -0,0 +1,97 @@
+// Query-string filters and sort orders of the TicketUrl list, shared by
+// GET /api/tickets and the listings export
+import { STATUSES } from "./lifecycle.service.js";
+import { parseTimestamp } from "../utils/time.utils.js";
+
+// ?sort= values, prefix with "-" for descending
+export const SORT_FIELDS = {
+  lastChecked: "lastChecked",
+  minPrice: "summary.minPrice",
+  eventDate: "event.date",
+  venue: "event.venue",
+};
+
+// Accepts an array or a "rock;2025" / "rock, 2025" string
+export function normalizeTags(tags) {
+  if (tags === undefined || tags === null) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[;,|]/);
+  return [
+    ...new Set(
+      list.map((tag) => String(tag).trim().toLowerCase()).filter(Boolean)
+    ),
+  ];
+}
+
+const escapeRegex = (value) =>
+  String(value).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Returns { sortField, direction } or { error }; newest check first by default
+export function parseTicketSort(sort = "-lastChecked") {
+  const sortField = SORT_FIELDS[String(sort).replace(/^-/, "")];
+  if (!sortField) {
+    return {
+      error: `Invalid sort, expected one of: ${Object.keys(SORT_FIELDS).join(
+        ", "
+      )}`,
+    };
+  }
+  return { sortField, direction: String(sort).startsWith("-") ? -1 : 1 };
+}
+
+// Filters: status, tag, venue, city, eventFrom, eventTo, past and maxPrice.
+// Returns { filter } or { error }.
+export function buildTicketFilter(query) {
+  const { status, tag, venue, city } = query;
+  const { eventFrom, eventTo, past, maxPrice } = query;
+  const filter = {};
+
+  // Archived events are hidden unless asked for, status=all lists everything
+  if (!status) {
+    filter.status = { $ne: "archived" };
+  } else if (status !== "all") {
+    const statuses = String(status).split(",");
+    if (statuses.some((value) => !STATUSES.includes(value))) {
+      return {
+        error: `Invalid status, expected one of: ${STATUSES.join(", ")}, all`,
+      };
+    }
+    // Documents created before the lifecycle existed count as active
+    filter.status = {
+      $in: statuses.includes("active") ? [...statuses, null] : statuses,
+    };
+  }
+
+  // Any of the given tags
+  if (tag) filter.tags = { $in: normalizeTags(tag) };
+  if (venue) filter["event.venue"] = new RegExp(escapeRegex(venue), "i");
+  if (city) filter["event.city"] = new RegExp(`^${escapeRegex(city)}$`, "i");
+
+  const from = parseTimestamp(eventFrom);
+  const to = parseTimestamp(eventTo);
+  if ((eventFrom && !from) || (eventTo && !to)) {
+    return { error: "Invalid eventFrom/eventTo date" };
+  }
+  if (past !== undefined && past !== "true" && past !== "false") {
+    return { error: "Invalid past, expected true or false" };
+  }
+  if (from || to || past !== undefined) {
+    filter["event.date"] = {};
+    if (from) filter["event.date"].$gte = from;
+    if (to) filter["event.date"].$lte = to;
+    if (past === "true") filter["event.date"].$lt = new Date();
+    if (past === "false" && !(from > new Date())) {
+      filter["event.date"].$gte = new Date();
+    }
+  }
+
+  // Cheapest listing at or under this price, read from the stored summary
+  if (maxPrice !== undefined) {
+    const price = parseFloat(maxPrice);
+    if (!Number.isFinite(price)) {
+      return { error: "Invalid maxPrice" };
+    }
+    filter["summary.minPrice"] = { $lte: price };
+  }
+
+  return { filter };
+}
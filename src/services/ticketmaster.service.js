@@ -4,6 +4,16 @@ import StealthPlugin from "puppeteer-extra-plugin-stealth";
 import axios from "axios";
 import { EventEmitter } from "events";
 import path from "path";
+import {
+  SELECTORS,
+  checkSelectors,
+  extractEventFromHtml,
+  extractListings,
+  extractStadiumFromHtml,
+  isIncompleteExtraction,
+} from "./extractor.service.js";
+import { isReplayMode, recordSnapshot, replayFetch } from "./fixture.service.js";
+import { eventIdFromUrl } from "../utils/url.utils.js";
 
 puppeteer.use(StealthPlugin());
 
@@ -13,8 +23,8 @@ export const ticketEmitter = new EventEmitter();
 // Cache for browser instances
 const browserCache = new Map();
 
-// Cache for network data
-const networkDataCache = new Map();
+// Cache for recent fetch results, keyed by URL since an event id can exist on several sites
+const resultCache = new Map();
 
 // Create screenshots directory if it doesn't exist
 const SCREENSHOTS_DIR = "./screenshots";
@@ -24,8 +34,8 @@ if (!fs.existsSync(SCREENSHOTS_DIR)) {
 
 const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-// Function to capture and save screenshot
-async function captureScreenshot(page, name) {
+// Function to capture and save screenshot, linked to the fetch run if any
+async function captureScreenshot(page, name, run) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
   const filename = `${name}_${timestamp}.png`;
   const filepath = path.join(SCREENSHOTS_DIR, filename);
@@ -36,6 +46,7 @@ async function captureScreenshot(page, name) {
       fullPage: true,
     });
     console.log(`📸 Screenshot saved: ${filepath}`);
+    run?.artifact("screenshot", filepath, name);
     return filepath;
   } catch (err) {
     console.error("❌ Failed to capture screenshot:", err.message);
@@ -119,17 +130,19 @@ async function getBrowser() {
 }
 
 async function getIP(page) {
+  let ipPage = null;
   try {
     console.log("🌐 Checking IP address...");
-    const ipPage = await page.browser().newPage();
+    ipPage = await page.browser().newPage();
     await ipPage.goto("https://api.ipify.org?format=json");
     const ip = await ipPage.evaluate(() => document.body.innerText);
-    await ipPage.close();
     console.log(`✅ Current IP: ${ip}`);
     return ip;
   } catch (err) {
     console.error("❌ Failed to get IP:", err.message);
     return null;
+  } finally {
+    await ipPage?.close().catch(() => {});
   }
 }
 
@@ -140,49 +153,31 @@ async function extractStadiumData(page) {
     console.log("⏳ Waiting for page to load...");
     await page.waitForSelector("body", { timeout: 30000 });
 
-    // Try multiple selectors for stadium data
-    const selectors = [
-      'svg[data-bdd="venue-map"]',
-      'div[data-bdd="venue-map"]',
-      'div[class*="venue-map"]',
-      'div[class*="stadium"]',
-    ];
-
-    let stadiumImage = null;
-    let layoutData = null;
-
-    // Try each selector
+    // Wait for any of the venue map selectors to render
     console.log("🔍 Searching for stadium map...");
-    for (const selector of selectors) {
+    let found = false;
+    for (const selector of SELECTORS.venueMap) {
       try {
         await page.waitForSelector(selector, { timeout: 5000 });
-        stadiumImage = await page.$eval(selector, (el) => el.outerHTML);
         console.log(`✅ Found stadium map using selector: ${selector}`);
+        found = true;
         break;
       } catch (e) {
         console.log(`⚠️ Selector not found: ${selector}`);
         continue;
       }
     }
-
-    // Extract layout data if we found the stadium image
-    if (stadiumImage) {
-      console.log("📊 Extracting stadium layout data...");
-      layoutData = await page.evaluate(() => {
-        const sections = Array.from(
-          document.querySelectorAll('[data-bdd*="section"], [class*="section"]')
-        );
-        return sections.map((section) => ({
-          id: section.getAttribute("data-section-id") || section.id,
-          name:
-            section.getAttribute("data-section-name") ||
-            section.textContent.trim(),
-          coordinates: section.getAttribute("data-coordinates") || null,
-        }));
-      });
-      console.log(`✅ Extracted ${layoutData.length} sections`);
+    if (!found) {
+      return { stadiumImage: null, layoutData: null };
     }
 
+    // Extract map and layout data from the rendered HTML
+    console.log("📊 Extracting stadium layout data...");
+    const { stadiumImage, layoutData } = extractStadiumFromHtml(
+      await page.content()
+    );
+    console.log(`✅ Extracted ${layoutData?.length || 0} sections`);
+
     return { stadiumImage, layoutData };
   } catch (err) {
     console.error("❌ Failed to extract stadium data:", err);
@@ -190,50 +185,59 @@ async function extractStadiumData(page) {
   }
 }
 
-async function fetchNetworkData(page, eventId) {
+// Collects every JSON XHR/fetch response whose URL mentions the event.
+// Started before navigation so the offer requests made while the page
+// loads are not missed; `finish()` waits for the traffic to go quiet.
+function startNetworkCapture(page, eventId) {
   console.log("🌐 Starting network data collection...");
-  return new Promise((resolve) => {
-    let networkData = null;
-    let timeoutId = null;
-
-    const responseHandler = async (response) => {
-      const url = response.url();
-      if (
-        url.includes(eventId) &&
-        response.request().resourceType() === "xhr"
-      ) {
-        try {
-          const json = await response.json();
-          if (json && typeof json === "object") {
-            networkData = json;
-            if (timeoutId) {
-              clearTimeout(timeoutId);
-            }
-            console.log("✅ Network data collected successfully");
-            resolve(networkData);
-          }
-        } catch (e) {
-          // Ignore non-JSON responses
-        }
+  const responses = [];
+  let lastResponseAt = Date.now();
+
+  const responseHandler = async (response) => {
+    const url = response.url();
+    const resourceType = response.request().resourceType();
+    if (
+      !url.includes(eventId) ||
+      (resourceType !== "xhr" && resourceType !== "fetch")
+    ) {
+      return;
+    }
+    try {
+      const json = await response.json();
+      if (json && typeof json === "object") {
+        responses.push({ url, data: json });
+        lastResponseAt = Date.now();
       }
-    };
+    } catch (e) {
+      // Ignore non-JSON responses
+    }
+  };
 
-    page.on("response", responseHandler);
+  page.on("response", responseHandler);
 
-    timeoutId = setTimeout(() => {
+  return {
+    async finish({ quietMs = 2000, maxWaitMs = 10000 } = {}) {
+      const deadline = Date.now() + maxWaitMs;
+      while (Date.now() - lastResponseAt < quietMs && Date.now() < deadline) {
+        await sleep(250);
+      }
       page.off("response", responseHandler);
-      console.log("⚠️ Network data collection timed out");
-      resolve(null);
-    }, 10000);
-  });
+      console.log(`✅ Collected ${responses.length} network responses`);
+      return responses;
+    },
+  };
 }
 
-export async function fetchAvailableTickets(url) {
+// Fetches listings for one event in its own page. The page is always
+// closed afterwards; aborting `signal` closes it early, which makes any
+// pending Puppeteer call reject. `run` (see fetchRun.service.js) records
+// the steps reached and the artifacts written.
+export async function fetchAvailableTickets(url, { signal, run } = {}) {
+  signal?.throwIfAborted();
   console.log("\n🚀 Starting ticket fetch process...");
   console.log(`📌 URL: ${url}`);
 
-  const eventIdMatch = url.match(/event\/([A-Z0-9]+)/i);
-  const eventId = eventIdMatch ? eventIdMatch[1] : null;
+  const eventId = eventIdFromUrl(url);
 
   if (!eventId) {
     console.error("❌ Invalid Ticketmaster URL: Could not extract event ID");
@@ -241,9 +245,14 @@ export async function fetchAvailableTickets(url) {
   }
   console.log(`🎫 Event ID: ${eventId}`);
 
+  // Offline mode: replay a recorded session instead of opening a browser
+  if (isReplayMode()) {
+    return replayFetch(eventId, { run });
+  }
+
   // Check cache first
-  if (networkDataCache.has(eventId)) {
-    const cachedData = networkDataCache.get(eventId);
+  if (resultCache.has(url)) {
+    const cachedData = resultCache.get(url);
     if (Date.now() - cachedData.timestamp < 5000) {
       console.log("✅ Using cached data");
       return cachedData.data;
@@ -252,29 +261,29 @@ export async function fetchAvailableTickets(url) {
 
   console.log("🔄 Getting browser instance...");
   const browser = await getBrowser();
-  let page = await browser.newPage();
+  const page = await browser.newPage();
   console.log("✅ New page created");
 
+  const closePage = async () => {
+    if (!page.isClosed()) {
+      await page.close().catch(() => {});
+    }
+  };
+  signal?.addEventListener("abort", closePage, { once: true });
+
   try {
     // Set viewport size
     await page.setViewport({ width: 860, height: 480 });
 
-    // Close all tabs except this one after navigation
-    async function closeOtherTabs(currentPage) {
-      const pages = await browser.pages();
-      for (const p of pages) {
-        if (p !== currentPage) {
-          await p.close();
-        }
-      }
-    }
-
     console.log("👤 Setting user agent...");
     await page.setUserAgent(
       "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36"
     );
 
+    const networkCapture = startNetworkCapture(page, eventId);
+
     // Navigate to page with retry
+    run?.step("navigation");
     let retryCount = 0;
     const maxRetries = 3;
     let navigationSuccess = false;
@@ -283,12 +292,12 @@ export async function fetchAvailableTickets(url) {
       try {
         await page.goto(url, { waitUntil: "domcontentloaded", timeout: 60000 });
         console.log("✅ [Page] Ticketmaster event page opened.");
-        await closeOtherTabs(page);
         // Extra wait for slow networks
         console.log("⏳ Waiting extra 12 seconds for slow network...");
         await sleep(12000);
         navigationSuccess = true;
       } catch (err) {
+        signal?.throwIfAborted();
         lastError = err;
         retryCount++;
         console.log(
@@ -296,7 +305,8 @@ export async function fetchAvailableTickets(url) {
         );
         await captureScreenshot(
           page,
-          `navigation_failed_attempt_${retryCount}`
+          `navigation_failed_attempt_${retryCount}`,
+          run
         );
         if (retryCount === maxRetries) {
           console.log("❌ All navigation attempts failed. Giving up.");
@@ -307,6 +317,7 @@ export async function fetchAvailableTickets(url) {
     }
 
     // --- SMART BOT CHECK & BLOCK PAGE HANDLING ---
+    run?.step("bot_check");
     let passed = false;
     let attempt = 0;
     const maxAttempts = 3;
@@ -321,18 +332,18 @@ export async function fetchAvailableTickets(url) {
         { timeout: 120000 }
       );
       await sleep(2000); // Human-like gap
-      await captureScreenshot(page, `after_full_load_attempt_${attempt}`);
+      await captureScreenshot(page, `after_full_load_attempt_${attempt}`, run);
 
       // 1. Check for bot check page
-      const checkboxSelector = "button.checkbox-container#captcha-checkbox";
-      const checkbox = await page.$(checkboxSelector);
+      const checkbox = await page.$(SELECTORS.botCheckbox);
       if (checkbox) {
         console.log("🤖 [Bot Check] Detected. Clicking...");
         await checkbox.click();
         await sleep(4000);
         await captureScreenshot(
           page,
-          `after_bot_checkbox_click_attempt_${attempt}`
+          `after_bot_checkbox_click_attempt_${attempt}`,
+          run
         );
         continue; // Re-check after bot check
       }
@@ -343,7 +354,11 @@ export async function fetchAvailableTickets(url) {
         console.log("❌ [Block] Detected. Reloading (F5)...");
         await page.keyboard.press("F5");
         await sleep(4000);
-        await captureScreenshot(page, `after_block_reload_attempt_${attempt}`);
+        await captureScreenshot(
+          page,
+          `after_block_reload_attempt_${attempt}`,
+          run
+        );
         continue; // Re-check after reload
       }
 
@@ -355,7 +370,8 @@ export async function fetchAvailableTickets(url) {
       console.log(
         "❌ [Status] Could not pass bot check or block page after multiple attempts."
       );
-      await captureScreenshot(page, "final_failed_status");
+      await captureScreenshot(page, "final_failed_status", run);
+      run?.fail("Bot check or block page not passed");
       return {
         eventId,
         tickets: [],
@@ -367,11 +383,12 @@ export async function fetchAvailableTickets(url) {
     }
 
     // Now wait for Accept & Continue button
-    const acceptSelector = 'button[data-bdd="accept-modal-accept-button"]';
+    run?.step("accept_modal");
+    const acceptSelector = SELECTORS.acceptButton;
     console.log("⏳ [Accept] Waiting for Accept & Continue button...");
     await page.waitForSelector(acceptSelector, { timeout: 120000 });
     console.log("🔍 [Accept] Accept & Continue button found. Clicking...");
-    await captureScreenshot(page, "accept_and_continue_modal");
+    await captureScreenshot(page, "accept_and_continue_modal", run);
     await page.click(acceptSelector);
 
     // Wait for FULL page load after clicking Accept
@@ -384,13 +401,14 @@ export async function fetchAvailableTickets(url) {
       { timeout: 120000 }
     );
     console.log("✅ [Load] Page fully loaded (Loading... text disappeared).");
-    await captureScreenshot(page, "full_page_loaded_after_accept");
+    await captureScreenshot(page, "full_page_loaded_after_accept", run);
 
     // Now fetch the data
     console.log("🎫 [Fetch] Starting data extraction...");
 
     // --- PAGE VALIDATION & BOT CHECK HANDLING ---
     let currentUrl = page.url();
+    let pageContent = await page.content();
     let realEventPage =
       currentUrl.includes(`/event/${eventId}`) &&
       !/verify you are human|extra protections|recaptcha|your browsing activity has been unusual/i.test(
@@ -401,7 +419,7 @@ export async function fetchAvailableTickets(url) {
       console.log(
         "⚠️ Not on real event page after first load. Taking screenshot and reloading..."
       );
-      await captureScreenshot(page, "not_real_event_first_load");
+      await captureScreenshot(page, "not_real_event_first_load", run);
       await page.reload({ waitUntil: "networkidle2", timeout: 30000 });
       await sleep(7000);
       currentUrl = page.url();
@@ -417,11 +435,10 @@ export async function fetchAvailableTickets(url) {
       console.log(
         "⚠️ Still not on real event page after reload. Checking for bot check and trying to click checkbox if present."
       );
-      await captureScreenshot(page, "not_real_event_after_reload");
+      await captureScreenshot(page, "not_real_event_after_reload", run);
       // Try to click the reCAPTCHA checkbox if present
       try {
-        const checkboxSelector = "button.checkbox-container#captcha-checkbox";
-        const checkbox = await page.$(checkboxSelector);
+        const checkbox = await page.$(SELECTORS.botCheckbox);
         if (checkbox) {
           console.log("🤖 [Bot Check] Detected bot checkbox.");
           await checkbox.click();
@@ -429,7 +446,7 @@ export async function fetchAvailableTickets(url) {
             "✅ [Bot Check] Bot checkbox clicked! Waiting for page to reload..."
           );
           await sleep(4000);
-          await captureScreenshot(page, "after_bot_checkbox_click");
+          await captureScreenshot(page, "after_bot_checkbox_click", run);
 
           // Wait for Loading... to disappear after checkbox click
           console.log(
@@ -443,7 +460,11 @@ export async function fetchAvailableTickets(url) {
             { timeout: 120000 }
           );
           console.log("✅ [Load] Page fully loaded after bot check.");
-          await captureScreenshot(page, "full_page_loaded_after_bot_check");
+          await captureScreenshot(
+            page,
+            "full_page_loaded_after_bot_check",
+            run
+          );
         } else {
           console.log("ℹ️ [Bot Check] No bot checkbox found.");
         }
@@ -467,10 +488,12 @@ export async function fetchAvailableTickets(url) {
         botCheck: true,
       };
       console.log(JSON.stringify(emptyResult, null, 2));
+      run?.fail("Unable to reach real event page");
       return emptyResult;
     }
 
     // --- DATA EXTRACTION ---
+    run?.step("stadium_extraction");
     // Extract stadium data with retry
     let stadiumData = null;
     retryCount = 0;
@@ -484,56 +507,57 @@ export async function fetchAvailableTickets(url) {
     }
 
     // Wait for network data
+    run?.step("network_capture");
     console.log("⏳ Waiting for network data...");
-    const networkData = await fetchNetworkData(page, eventId);
+    const responses = await networkCapture.finish();
+    const networkData = responses.length > 0 ? responses : null;
 
     // Extract ticket data from DOM
+    run?.step("dom_extraction");
     console.log("🎫 Extracting ticket data from DOM...");
-    const tickets = await page.$$eval(
-      'li[data-bdd="quick-picks-list-item-resale"]',
-      (nodes) =>
-        nodes.map((el) => ({
-          sectionRow:
-            el
-              .querySelector('span[data-bdd="quick-pick-item-desc"]')
-              ?.innerText.trim() || "",
-          price:
-            el
-              .querySelector('button[data-bdd="quick-pick-price-button"]')
-              ?.innerText.trim() || "",
-          type:
-            el
-              .querySelector('span[data-bdd="quick-picks-resale-branding"]')
-              ?.innerText.trim() || "",
-          timestamp: new Date().toISOString(),
-        }))
-    );
+    const html = await page.content();
+    const { tickets, source: listingSource } = extractListings({
+      html,
+      responses,
+      url,
+    });
+    const eventData = extractEventFromHtml(html, url);
+    console.log(`✅ ${tickets.length} listings from ${listingSource}`);
 
-    // If no stadium or ticket data, output empty JSON
-    if (
-      !stadiumData ||
-      !stadiumData.layoutData ||
-      stadiumData.layoutData.length === 0 ||
-      !tickets ||
-      tickets.length === 0
-    ) {
+    const missingSelectors = checkSelectors(html);
+    if (missingSelectors.length > 0) {
+      console.log(
+        `⚠️ Expected selectors not found: ${missingSelectors.join(", ")}`
+      );
+    }
+
+    // Save an offline fixture of this page when recording is enabled
+    if (process.env.SCRAPER_RECORD === "true") {
+      recordSnapshot(eventId, {
+        url,
+        html,
+        network: responses,
+      });
+    }
+
+    // No listings and no venue map: the page did not load properly
+    if (isIncompleteExtraction(tickets, stadiumData)) {
       console.log("❌ [Response] No stadium or ticket data found.");
       const emptyResult = {
         eventId,
         tickets: [],
         stadiumData: null,
         networkData: null,
+        eventData,
+        missingSelectors,
+        incomplete: true,
       };
       console.log(JSON.stringify(emptyResult, null, 2));
       return emptyResult;
     }
-
-    // Cache the network data
-    if (networkData) {
-      networkDataCache.set(eventId, {
-        data: networkData,
-        timestamp: Date.now(),
-      });
+    if (!stadiumData?.layoutData?.length) {
+      console.log("⚠️ [Response] Venue map not found, keeping listings only.");
+      stadiumData = null;
     }
 
     // Prepare result
@@ -542,19 +566,24 @@ export async function fetchAvailableTickets(url) {
       tickets,
       stadiumData,
       networkData,
+      eventData,
+      listingSource,
     };
 
+    // Cache the result
+    resultCache.set(url, {
+      data: result,
+      timestamp: Date.now(),
+    });
+
     // Save result as JSON file
     const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
     const jsonFile = `./screenshots/ticketmaster_${eventId}_${timestamp}.json`;
     fs.writeFileSync(jsonFile, JSON.stringify(result, null, 2));
+    run?.artifact("json", jsonFile, "result");
     console.log(`✅ Data found and saved to ${jsonFile}`);
     console.log(JSON.stringify(result, null, 2));
 
-    // Emit real-time update
-    result.timestamp = new Date();
-    ticketEmitter.emit("ticketUpdate", result);
-
     console.log("✅ Ticket fetch process completed successfully\n");
 
     console.log("--- SUMMARY ---");
@@ -562,18 +591,18 @@ export async function fetchAvailableTickets(url) {
     console.log(`Stadium image: ${stadiumData ? "Extracted" : "Not found"}`);
     console.log(`Screenshots: Check ./screenshots/ for PNG files`);
 
-    await page.goto('https://api.ipify.org');
-    const ip = await page.evaluate(() => document.body.innerText);
-    console.log('Puppeteer IP:', ip);
+    await getIP(page);
 
     return result;
   } catch (err) {
+    // Report the abort reason (timeout/cancel) rather than "Target closed"
+    signal?.throwIfAborted();
     console.error("❌ Puppeteer scraping failed:", err.message);
     throw err;
   } finally {
-    console.log(
-      "🧹 Skipping page/browser close to keep browser open for user inspection."
-    );
+    signal?.removeEventListener("abort", closePage);
+    await closePage();
+    console.log("🧹 Page closed");
   }
 }
 
@@ -585,7 +614,7 @@ export async function cleanup() {
     await browser.close();
   }
   browserCache.clear();
-  networkDataCache.clear();
+  resultCache.clear();
   console.log("✅ Cleanup completed");
 }
 
@@ -0,0 +1,198 @@
+// Applies a fetch result to a TicketUrl document. Shared by the poller and
+// the manual fetch route so both record changes the same way.
+import { detectChanges } from "./changes.service.js";
+import { recordSnapshot } from "./history.service.js";
+import { evaluateAlerts } from "./alert.service.js";
+import { ticketEmitter } from "./ticketmaster.service.js";
+import { upsertVenue } from "./venue.service.js";
+import { detectAnomalies } from "./anomaly.service.js";
+import ChangeLog from "../models/ChangeLog.js";
+
+const MAX_CHANGES = 100;
+
+// A blocked or incomplete fetch returns an empty ticket list that says
+// nothing about availability, so it must not be compared against the
+// previous snapshot
+export function isBlockedResult(result) {
+  return (
+    result.status === "failed" ||
+    result.botCheck === true ||
+    result.incomplete === true
+  );
+}
+
+// Cheapest listing and count, stored alongside the tickets for list queries
+export function summarizeTickets(tickets) {
+  const cheapest = tickets
+    .filter((ticket) => ticket.price != null)
+    .reduce(
+      (min, ticket) => (!min || ticket.price < min.price ? ticket : min),
+      null
+    );
+  return {
+    listingCount: tickets.length,
+    minPrice: cheapest ? cheapest.price : null,
+    currency: cheapest ? cheapest.currency : null,
+  };
+}
+
+function appendChanges(ticketUrl, changes) {
+  if (changes.length === 0) return;
+  ticketUrl.changes.push(...changes);
+  // Keep only last 100 changes
+  if (ticketUrl.changes.length > MAX_CHANGES) {
+    ticketUrl.changes = ticketUrl.changes.slice(-MAX_CHANGES);
+  }
+}
+
+export function applyFetchResult(ticketUrl, result) {
+  const { tickets, networkData, eventData } = result;
+  ticketUrl.lastChecked = new Date();
+
+  if (isBlockedResult(result)) {
+    return [];
+  }
+
+  // Track changes against the previous snapshot before overwriting it. The
+  // batch shares one timestamp, which the SSE stream uses as its event id.
+  const timestamp = new Date();
+  const changes = detectChanges(
+    ticketUrl.metadata.lastSuccessfulFetch ? ticketUrl.tickets : null,
+    tickets
+  ).map((change) => ({ ...change, timestamp }));
+  appendChanges(ticketUrl, changes);
+
+  // Update ticket data
+  ticketUrl.tickets = tickets;
+  ticketUrl.summary = summarizeTickets(tickets);
+
+  if (networkData) {
+    ticketUrl.metadata.lastNetworkData = networkData;
+  }
+
+  // Keep previously known event fields when the page didn't show them
+  if (eventData) {
+    const known = ticketUrl.event?.toObject ? ticketUrl.event.toObject() : {};
+    const found = Object.fromEntries(
+      Object.entries(eventData).filter(([, value]) => value != null)
+    );
+    ticketUrl.event = { ...known, ...found, lastUpdated: new Date() };
+  }
+
+  ticketUrl.metadata.lastSuccessfulFetch = new Date();
+  ticketUrl.metadata.fetchCount += 1;
+
+  return changes;
+}
+
+const toPlain = (doc) => (doc && doc.toObject ? doc.toObject() : doc);
+
+// Applies the result, looks for anomalies, persists the document, records
+// a history snapshot and evaluates the alert rules of this TicketUrl
+export async function saveFetchResult(ticketUrl, result, { runId } = {}) {
+  const previousTickets = ticketUrl.tickets.map(toPlain);
+  const changes = applyFetchResult(ticketUrl, result);
+  if (result.stadiumData && !isBlockedResult(result)) {
+    try {
+      const venue = await upsertVenue(ticketUrl.event, result.stadiumData, {
+        ticketUrlId: ticketUrl._id,
+      });
+      // The map is stored once per venue; drop any copy embedded by older
+      // fetches, but only once the venue reference is in place
+      if (venue) {
+        ticketUrl.venue = venue._id;
+        ticketUrl.stadium = { lastUpdated: new Date() };
+      }
+    } catch (err) {
+      console.error(
+        `Failed to store venue map for ${ticketUrl.url}:`,
+        err.message
+      );
+    }
+  }
+
+  // Compared against stored history, so this runs before recordSnapshot
+  if (!isBlockedResult(result)) {
+    try {
+      const timestamp = changes[0]?.timestamp || new Date();
+      const anomalies = (
+        await detectAnomalies(
+          ticketUrl,
+          ticketUrl.tickets.map(toPlain),
+          previousTickets
+        )
+      ).map((anomaly) => ({ ...anomaly, timestamp }));
+      appendChanges(ticketUrl, anomalies);
+      changes.push(...anomalies);
+    } catch (err) {
+      console.error(
+        `Failed to detect anomalies for ${ticketUrl.url}:`,
+        err.message
+      );
+    }
+  }
+  await ticketUrl.save();
+
+  if (isBlockedResult(result)) {
+    return { changes, alerts: [] };
+  }
+
+  // Built from the stored document: the raw map markup and network
+  // payloads of the result never leave the server, clients fetch the
+  // sanitized map from /api/venues/:venueId
+  ticketEmitter.emit("ticketUpdate", {
+    eventId: ticketUrl.eventId,
+    ticketUrlId: ticketUrl._id,
+    venueId: ticketUrl.venue,
+    tickets: ticketUrl.tickets.map(toPlain),
+    eventData: result.eventData,
+    listingSource: result.listingSource,
+    timestamp: ticketUrl.lastChecked,
+  });
+
+  if (changes.length > 0) {
+    try {
+      await ChangeLog.insertMany(
+        changes.map((change) => ({
+          ticketUrl: ticketUrl._id,
+          eventId: ticketUrl.eventId,
+          ...change,
+        }))
+      );
+    } catch (err) {
+      console.error(`Failed to log changes for ${ticketUrl.url}:`, err.message);
+    }
+
+    ticketEmitter.emit("ticketChanges", {
+      eventId: ticketUrl.eventId,
+      ticketUrlId: ticketUrl._id,
+      changes,
+      timestamp: changes[0].timestamp,
+    });
+  }
+
+  try {
+    await recordSnapshot(ticketUrl, ticketUrl.tickets, { runId });
+  } catch (err) {
+    console.error(
+      `Failed to record history for ${ticketUrl.url}:`,
+      err.message
+    );
+  }
+
+  let alerts = [];
+  try {
+    alerts = await evaluateAlerts(ticketUrl, {
+      previousTickets,
+      tickets: ticketUrl.tickets.map(toPlain),
+      changes,
+    });
+  } catch (err) {
+    console.error(
+      `Failed to evaluate alerts for ${ticketUrl.url}:`,
+      err.message
+    );
+  }
+
+  return { changes, alerts };
+}
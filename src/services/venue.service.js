@@ -0,0 +1,242 @@
+// Venue maps are stored once per venue instead of on every TicketUrl. The
+// scraped markup is reduced to an allowlist of SVG elements and attributes
+// before it is stored or served.
+import crypto from "crypto";
+import * as cheerio from "cheerio";
+import Venue from "../models/Venue.js";
+import { sectionKey } from "./heatmap.service.js";
+
+const ALLOWED_ELEMENTS = new Set([
+  "svg",
+  "g",
+  "path",
+  "polygon",
+  "polyline",
+  "rect",
+  "circle",
+  "ellipse",
+  "line",
+  "text",
+  "tspan",
+  "title",
+  "desc",
+  "defs",
+  "clippath",
+  "lineargradient",
+  "radialgradient",
+  "stop",
+]);
+
+const ALLOWED_ATTRIBUTES = new Set([
+  "id",
+  "class",
+  "viewbox",
+  "xmlns",
+  "width",
+  "height",
+  "x",
+  "y",
+  "x1",
+  "y1",
+  "x2",
+  "y2",
+  "cx",
+  "cy",
+  "r",
+  "rx",
+  "ry",
+  "d",
+  "points",
+  "transform",
+  "fill",
+  "fill-opacity",
+  "fill-rule",
+  "stroke",
+  "stroke-width",
+  "stroke-opacity",
+  "opacity",
+  "font-size",
+  "font-family",
+  "font-weight",
+  "text-anchor",
+  "dominant-baseline",
+  "clip-path",
+  "offset",
+  "stop-color",
+  "stop-opacity",
+  "gradientunits",
+  "preserveaspectratio",
+]);
+
+// References may only point inside the document
+const isSafeReference = (value) =>
+  !/url\(\s*['"]?(?!#)/i.test(value) && !/javascript:/i.test(value);
+
+// Returns the first <svg> of the markup with everything outside the
+// allowlists removed, or null when there is no SVG
+export function sanitizeSvg(markup) {
+  if (!markup) return null;
+  const $ = cheerio.load(markup, { xmlMode: true, decodeEntities: false });
+  const svg = $("svg").first();
+  if (svg.length === 0) return null;
+
+  svg.find("*").each((_, node) => {
+    if (!ALLOWED_ELEMENTS.has(node.name.toLowerCase())) $(node).remove();
+  });
+
+  svg
+    .find("*")
+    .addBack()
+    .each((_, node) => {
+      for (const [name, value] of Object.entries(node.attribs)) {
+        const lower = name.toLowerCase();
+        const allowed =
+          (ALLOWED_ATTRIBUTES.has(lower) || lower.startsWith("data-")) &&
+          isSafeReference(value);
+        if (!allowed) $(node).removeAttr(name);
+      }
+    });
+
+  svg.attr("xmlns", "http://www.w3.org/2000/svg");
+  return $.xml(svg);
+}
+
+const n = (el, name) => Number(el.attr(name)) || 0;
+
+// Every basic shape as path data, so clients only need to handle <path>
+function shapeToPath($, node) {
+  const el = $(node);
+  switch (node.name.toLowerCase()) {
+    case "path":
+      return el.attr("d") || null;
+    case "polygon":
+    case "polyline": {
+      const points = (el.attr("points") || "").trim();
+      if (!points) return null;
+      return `M${points}${node.name.toLowerCase() === "polygon" ? "Z" : ""}`;
+    }
+    case "rect": {
+      const [x, y, w, h] = ["x", "y", "width", "height"].map((a) => n(el, a));
+      return `M${x} ${y}h${w}v${h}h${-w}Z`;
+    }
+    case "circle":
+    case "ellipse": {
+      const r = n(el, "r");
+      const [cx, cy] = [n(el, "cx"), n(el, "cy")];
+      const [rx, ry] = [n(el, "rx") || r, n(el, "ry") || r];
+      return `M${cx - rx} ${cy}a${rx} ${ry} 0 1 0 ${2 * rx} 0a${rx} ${ry} 0 1 0 ${-2 * rx} 0Z`;
+    }
+    default:
+      return null;
+  }
+}
+
+// Sections from the scraped layout joined to their shapes in the map.
+// Transforms on the section's ancestors are not applied.
+export function extractSectionGeometry(svg, layout = []) {
+  const $ = cheerio.load(svg || "<svg/>", { xmlMode: true });
+  const root = $("svg").first();
+
+  const sections = new Map();
+  const add = (id, name, coordinates) => {
+    if (!id || sections.has(id)) return;
+    const el = root
+      .find("[data-section-id], [id]")
+      .filter(
+        (_, node) =>
+          node.attribs["data-section-id"] === id || node.attribs.id === id
+      )
+      .first();
+    const path = el
+      .find("path, polygon, polyline, rect, circle, ellipse")
+      .addBack()
+      .toArray()
+      .map((node) => shapeToPath($, node))
+      .filter(Boolean)
+      .join(" ");
+    const label = name || el.attr("data-section-name") || null;
+    sections.set(id, {
+      id,
+      name: label,
+      key: sectionKey(label || id),
+      path: path || null,
+      coordinates: coordinates || el.attr("data-coordinates") || null,
+    });
+  };
+
+  for (const section of layout || []) {
+    add(section.id, section.name, section.coordinates);
+  }
+  root.find("[data-section-id]").each((_, node) => {
+    const el = $(node);
+    add(el.attr("data-section-id"), el.attr("data-section-name"));
+  });
+  return [...sections.values()];
+}
+
+const hashOf = (value) =>
+  crypto.createHash("sha1").update(value).digest("hex").slice(0, 12);
+
+// Key of a venue the page gave no id for. The map markup changes between
+// fetches (availability classes, fills), the set of section ids does not;
+// without section ids the map is only shared by the TicketUrl itself.
+function fallbackVenueId(layoutData, ticketUrlId) {
+  const ids = [
+    ...new Set((layoutData || []).map((s) => s.id).filter(Boolean)),
+  ].sort();
+  if (ids.length) return `map-${hashOf(ids.join(","))}`;
+  return ticketUrlId ? `ticketurl-${ticketUrlId}` : null;
+}
+
+// Stores the venue map from a fetch and returns the Venue. The event's
+// venueId is the key, see fallbackVenueId for pages without one.
+export async function upsertVenue(
+  event,
+  { stadiumImage, layoutData },
+  { ticketUrlId } = {}
+) {
+  const svg = sanitizeSvg(stadiumImage);
+  if (!svg && !layoutData?.length) return null;
+
+  const mapHash = svg ? hashOf(svg) : null;
+  const venueId = event?.venueId || fallbackVenueId(layoutData, ticketUrlId);
+  if (!venueId) return null;
+
+  const venue = (await Venue.findOne({ venueId })) || new Venue({ venueId });
+  venue.name = event?.venue || venue.name;
+  venue.city = event?.city || venue.city;
+
+  if (svg && venue.mapHash !== mapHash) {
+    const $ = cheerio.load(svg, { xmlMode: true });
+    venue.svg = svg;
+    venue.mapHash = mapHash;
+    venue.viewBox = $("svg").attr("viewBox") || null;
+    venue.sections = extractSectionGeometry(svg, layoutData);
+    venue.updatedAt = new Date();
+  } else if (!venue.sections.length) {
+    venue.sections = extractSectionGeometry(null, layoutData);
+    venue.updatedAt = new Date();
+  }
+
+  try {
+    if (venue.isNew || venue.isModified()) await venue.save();
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    // Another fetch of the same venue inserted it first
+    return Venue.findOne({ venueId });
+  }
+  return venue;
+}
+
+// { svg, sections } for a TicketUrl: its Venue, or the map embedded by
+// fetches from before venues were stored
+export async function loadVenueMap(ticketUrl) {
+  if (ticketUrl.venue) {
+    const venue = await Venue.findById(ticketUrl.venue);
+    if (venue) return { venue, svg: venue.svg, sections: venue.sections };
+  }
+  const { image, layout } = ticketUrl.stadium || {};
+  if (!image && !layout?.length) return null;
+  const svg = sanitizeSvg(image);
+  return { venue: null, svg, sections: extractSectionGeometry(svg, layout) };
+}
@@ -0,0 +1,177 @@
+// Outbound webhooks: signs event payloads with the subscription's secret,
+// POSTs them and retries failed deliveries with exponential backoff
+import crypto from "crypto";
+import axios from "axios";
+import Webhook from "../models/Webhook.js";
+import WebhookDelivery from "../models/WebhookDelivery.js";
+import { ticketEmitter } from "./ticketmaster.service.js";
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const BASE_RETRY_DELAY = 5000; // 5 seconds, doubled after every failure
+const MAX_RETRY_DELAY = 60 * 60 * 1000; // 1 hour
+const REQUEST_TIMEOUT = 10000;
+
+export const SIGNATURE_HEADER = "X-Webhook-Signature";
+export const TIMESTAMP_HEADER = "X-Webhook-Timestamp";
+
+export function generateSecret() {
+  return crypto.randomBytes(32).toString("hex");
+}
+
+// Receivers verify by computing the same HMAC over "<timestamp>.<raw body>"
+export function signPayload(secret, timestamp, body) {
+  const hmac = crypto.createHmac("sha256", secret);
+  hmac.update(`${timestamp}.${body}`);
+  return `sha256=${hmac.digest("hex")}`;
+}
+
+export function retryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook).select("+secret");
+  if (!webhook || !webhook.enabled) {
+    delivery.status = "failed";
+    delivery.lastError = "Webhook deleted or disabled";
+    await delivery.save();
+    return delivery;
+  }
+
+  const body = JSON.stringify({
+    id: delivery._id,
+    event: delivery.event,
+    createdAt: delivery.createdAt,
+    data: delivery.payload,
+  });
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+
+  delivery.attempts += 1;
+  try {
+    const response = await axios.post(webhook.url, body, {
+      headers: {
+        "Content-Type": "application/json",
+        "X-Webhook-Event": delivery.event,
+        "X-Webhook-Delivery": delivery._id.toString(),
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signPayload(webhook.secret, timestamp, body),
+      },
+      timeout: REQUEST_TIMEOUT,
+      validateStatus: () => true,
+    });
+    delivery.responseStatus = response.status;
+    if (response.status >= 200 && response.status < 300) {
+      delivery.status = "success";
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+    } else {
+      delivery.lastError = `HTTP ${response.status}`;
+    }
+  } catch (err) {
+    delivery.responseStatus = null;
+    delivery.lastError = err.message;
+  }
+
+  if (delivery.status !== "success") {
+    if (delivery.attempts >= MAX_ATTEMPTS) {
+      delivery.status = "failed";
+      console.error(
+        `❌ Webhook delivery ${delivery._id} failed after ${delivery.attempts} attempts: ${delivery.lastError}`
+      );
+    } else {
+      delivery.nextAttemptAt = new Date(
+        Date.now() + retryDelay(delivery.attempts)
+      );
+    }
+  }
+
+  await delivery.save();
+  return delivery;
+}
+
+// Creates one delivery per matching subscription and attempts it right away.
+// Scoped subscriptions match on the TicketUrl: the same event id can be
+// tracked on several sites.
+export async function dispatchEvent(event, { eventId, ticketUrlId }, payload) {
+  const scoped = ticketUrlId ? { ticketUrl: ticketUrlId } : { eventId };
+  const webhooks = await Webhook.find({
+    enabled: true,
+    events: event,
+    $or: [{ ticketUrl: null, eventId: null }, scoped],
+  });
+
+  const deliveries = [];
+  for (const webhook of webhooks) {
+    const delivery = await WebhookDelivery.create({
+      webhook: webhook._id,
+      event,
+      payload,
+      // Picked up by the retry sweep only if the attempt below never finishes
+      nextAttemptAt: new Date(Date.now() + REQUEST_TIMEOUT * 2),
+    });
+    deliveries.push(delivery);
+    attemptDelivery(delivery).catch((err) =>
+      console.error(`Webhook delivery ${delivery._id} error:`, err.message)
+    );
+  }
+  return deliveries;
+}
+
+// Sends a ping to a single webhook regardless of its event filter
+export async function sendTestDelivery(webhook) {
+  const delivery = await WebhookDelivery.create({
+    webhook: webhook._id,
+    event: "ping",
+    payload: { message: "Webhook test", webhookId: webhook._id },
+    // Kept from the retry sweep while the attempt below is in flight
+    nextAttemptAt: new Date(Date.now() + REQUEST_TIMEOUT * 2),
+  });
+  return attemptDelivery(delivery);
+}
+
+let isRetrying = false;
+
+// Retries pending deliveries whose backoff has elapsed, including ones left
+// over from before a restart
+export async function retryDueDeliveries() {
+  if (isRetrying) return;
+  isRetrying = true;
+
+  try {
+    const due = await WebhookDelivery.find({
+      status: "pending",
+      nextAttemptAt: { $lte: new Date() },
+    }).limit(100);
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+    }
+  } finally {
+    isRetrying = false;
+  }
+}
+
+function forward(event, scope, payload) {
+  dispatchEvent(event, scope, payload).catch((err) =>
+    console.error(`Webhook dispatch error (${event}):`, err.message)
+  );
+}
+
+// Subscribes the webhook dispatcher to the internal ticket events
+export function registerWebhookListeners() {
+  ticketEmitter.on("ticketUpdate", (data) => {
+    forward("ticketUpdate", data, {
+      eventId: data.eventId,
+      ticketUrlId: data.ticketUrlId,
+      tickets: data.tickets,
+      timestamp: data.timestamp,
+    });
+  });
+
+  ticketEmitter.on("ticketChanges", (data) => {
+    forward("changes", data, data);
+  });
+
+  ticketEmitter.on("alertFired", (alert) => {
+    forward("alert", alert, alert);
+  });
+}
@@ -0,0 +1,72 @@
+// Minimal RFC 4180 CSV reader: quoted fields, doubled quotes, CRLF
+
+// "a,\"b,c\"\n1,2" -> [["a", "b,c"], ["1", "2"]]. Blank lines are dropped.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = String(text || "").replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  row.push(field);
+  rows.push(row);
+
+  return rows.filter((cells) => cells.some((cell) => cell.trim() !== ""));
+}
+
+// Rows as objects keyed by the lowercased header row
+export function parseCsvRecords(text) {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const keys = header.map((key) => key.trim().toLowerCase());
+  return rows.map((cells) =>
+    Object.fromEntries(keys.map((key, i) => [key, (cells[i] || "").trim()]))
+  );
+}
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// Quotes a field when needed. `guardFormulas` prefixes text that a
+// spreadsheet would evaluate with an apostrophe; numbers are left alone.
+export function escapeCsvField(value, { guardFormulas = false } = {}) {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === "object") value = JSON.stringify(value);
+
+  let text = String(value);
+  if (guardFormulas && typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(values, options) {
+  return `${values.map((value) => escapeCsvField(value, options)).join(",")}\r\n`;
+}
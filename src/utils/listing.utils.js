@@ -0,0 +1,101 @@
+// Helpers for turning the free-text quick-pick descriptor
+// (e.g. "Sec 112 • Row 5 • Seats 1-4") into typed listing fields
+import crypto from "crypto";
+import { parsePrice } from "./price.utils.js";
+
+const SECTION_PATTERN = /\b(?:sec(?:tion)?|sect)\.?\s*([A-Z0-9-]+)/i;
+const ROW_PATTERN = /\brow\s*([A-Z0-9-]+)/i;
+const SEATS_PATTERN = /\bseats?\s*(\d+)(?:\s*(?:-|–|to|thru)\s*(\d+))?/i;
+// "Seats" is left out: in "Row 5 Seats 1-4" it would read the row as the
+// quantity, and a seat range is counted from SEATS_PATTERN instead
+const QUANTITY_PATTERN = /\b(\d+)\s*(?:tickets?|tix)\b|\bqty\.?\s*:?\s*(\d+)/i;
+const GENERAL_ADMISSION_PATTERN = /\b(general admission|GA)\b/i;
+
+// Splits a descriptor into section, row, seat range and quantity.
+// Fields that are not present in the text are returned as null.
+export function parseSectionRow(text) {
+  const raw = typeof text === "string" ? text.trim() : "";
+
+  const sectionMatch = raw.match(SECTION_PATTERN);
+  const rowMatch = raw.match(ROW_PATTERN);
+  const seatsMatch = raw.match(SEATS_PATTERN);
+  const quantityMatch = raw.match(QUANTITY_PATTERN);
+
+  let section = sectionMatch ? sectionMatch[1].toUpperCase() : null;
+  if (!section && GENERAL_ADMISSION_PATTERN.test(raw)) {
+    section = "GA";
+  }
+
+  const seatFrom = seatsMatch ? parseInt(seatsMatch[1], 10) : null;
+  const seatTo = seatsMatch
+    ? parseInt(seatsMatch[2] || seatsMatch[1], 10)
+    : null;
+
+  let quantity = null;
+  if (quantityMatch) {
+    quantity = parseInt(quantityMatch[1] || quantityMatch[2], 10);
+  } else if (seatFrom !== null && seatTo >= seatFrom) {
+    quantity = seatTo - seatFrom + 1;
+  }
+
+  return {
+    section,
+    row: rowMatch ? rowMatch[1].toUpperCase() : null,
+    seatFrom,
+    seatTo,
+    quantity,
+  };
+}
+
+// Identity of a listing independent of its price, so a repriced listing
+// keeps its id. Falls back to the raw descriptor when nothing was parsed.
+function listingKey(ticket) {
+  const parts = [ticket.section, ticket.row, ticket.seatFrom, ticket.seatTo];
+  const key = parts.some((p) => p !== null && p !== undefined)
+    ? parts.map((p) => p ?? "").join("|")
+    : (ticket.sectionRow || "").toLowerCase().replace(/\s+/g, " ");
+  return `${key}|${(ticket.type || "").toLowerCase()}`;
+}
+
+// Assigns a stable `listingId` to each ticket. Listings sharing the same
+// descriptor are told apart by their order on the page, which is all the
+// DOM offers: when an earlier twin sells, the ones after it move up a
+// suffix and show as repriced or removed. Network listings carry the
+// site's own ids and do not have this problem.
+export function assignListingIds(tickets) {
+  const seen = new Map();
+  return tickets.map((ticket) => {
+    const key = listingKey(ticket);
+    const occurrence = seen.get(key) || 0;
+    seen.set(key, occurrence + 1);
+
+    const hash = crypto
+      .createHash("sha1")
+      .update(key)
+      .digest("hex")
+      .slice(0, 12);
+    return {
+      ...ticket,
+      listingId: occurrence === 0 ? hash : `${hash}-${occurrence}`,
+    };
+  });
+}
+
+// Converts a raw scraped ticket ({ sectionRow, price, type }) to the stored shape
+export function normalizeTicket(ticket, options = {}) {
+  return {
+    sectionRow: ticket.sectionRow || "",
+    ...parseSectionRow(ticket.sectionRow),
+    type: ticket.type || "",
+    ...parsePrice(ticket.price, options),
+    timestamp: ticket.timestamp ? new Date(ticket.timestamp) : new Date(),
+    source: "dom",
+  };
+}
+
+// Normalizes a full scrape result and gives every listing its identity
+export function normalizeTickets(tickets, options = {}) {
+  return assignListingIds(
+    tickets.map((ticket) => normalizeTicket(ticket, options))
+  );
+}
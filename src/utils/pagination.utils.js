@@ -0,0 +1,38 @@
+// Keyset (cursor) pagination over a single sort field plus _id as the
+// tie-breaker. Cursors are opaque base64url strings of the last row's key.
+
+export function encodeCursor(value, id) {
+  const key = {
+    v: value instanceof Date ? value.toISOString() : (value ?? null),
+    d: value instanceof Date,
+    id: id.toString(),
+  };
+  return Buffer.from(JSON.stringify(key)).toString("base64url");
+}
+
+// Returns { value, id } or null when the cursor is malformed
+export function decodeCursor(cursor) {
+  try {
+    const key = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+    if (!/^[a-f0-9]{24}$/i.test(key.id)) return null;
+    return { value: key.d ? new Date(key.v) : key.v, id: key.id };
+  } catch {
+    return null;
+  }
+}
+
+// Filter for the rows after `cursor` when sorting { [field]: direction, _id: direction }.
+// MongoDB sorts nulls first, so they lead ascending pages and trail descending ones.
+export function cursorFilter(field, direction, { value, id }) {
+  const after = direction === 1 ? "$gt" : "$lt";
+  const tie = { [field]: value, _id: { [after]: id } };
+
+  if (value === null) {
+    return direction === 1
+      ? { $or: [tie, { [field]: { $ne: null } }] }
+      : { [field]: null, _id: { $lt: id } };
+  }
+  const rest = [{ [field]: { [after]: value } }, tie];
+  if (direction === -1) rest.push({ [field]: null });
+  return { $or: rest };
+}
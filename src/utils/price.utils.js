@@ -0,0 +1,86 @@
+// Helpers for turning scraped price text (e.g. "$1,245.50 ea") into numbers
+
+// Symbols are matched longest-first so "CA$" wins over "$"
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"],
+  ["CA$", "CAD"],
+  ["C$", "CAD"],
+  ["AU$", "AUD"],
+  ["A$", "AUD"],
+  ["NZ$", "NZD"],
+  ["£", "GBP"],
+  ["€", "EUR"],
+  ["$", "USD"],
+];
+
+const CURRENCY_CODES = ["USD", "CAD", "AUD", "NZD", "GBP", "EUR"];
+
+const PER_TICKET_PATTERN =
+  /(?:\b(?:ea|each|per ticket)|\/\s*(?:ticket|tkt))\b/i;
+const TOTAL_PATTERN = /\btotal\b/i;
+const FEES_INCLUDED_PATTERN =
+  /\b(incl\.?( of)? fees|including fees|fees included|all[- ]in)\b/i;
+
+function detectCurrency(text, defaultCurrency) {
+  const upper = text.toUpperCase();
+  const code = CURRENCY_CODES.find((c) => new RegExp(`\\b${c}\\b`).test(upper));
+  if (code) return code;
+
+  const compact = upper.replace(/\s/g, "");
+  const symbol = CURRENCY_SYMBOLS.find(([s]) => compact.includes(s));
+  if (symbol) {
+    // A bare "$" means the domain's dollar, not necessarily USD
+    if (symbol[0] === "$" && defaultCurrency) return defaultCurrency;
+    return symbol[1];
+  }
+
+  return defaultCurrency || null;
+}
+
+// Parses "1,245.50", "1.245,50" and "1 245,50" into 1245.5. `decimal` is the
+// page locale's separator and settles "1,245" and "1.245".
+function parseAmount(text, decimal) {
+  const match = text.match(/\d[\d.,\s]*/);
+  if (!match) return null;
+
+  let number = match[0].replace(/\s/g, "").replace(/[.,]$/, "");
+  const lastComma = number.lastIndexOf(",");
+  const lastDot = number.lastIndexOf(".");
+
+  if (lastComma !== -1 && lastDot !== -1) {
+    // Whichever separator comes last is the decimal one
+    const separator = lastComma > lastDot ? "," : ".";
+    const thousands = separator === "," ? "." : ",";
+    number = number.split(thousands).join("").replace(separator, ".");
+  } else if (lastComma !== -1) {
+    // "120,50" is a decimal comma, "1,245" is a thousands separator unless
+    // the locale uses decimal commas
+    const decimals = number.length - lastComma - 1;
+    const isDecimal =
+      number.split(",").length === 2 && (decimal === "," || decimals !== 3);
+    number = isDecimal ? number.replace(",", ".") : number.split(",").join("");
+  } else if (
+    number.split(".").length > 2 ||
+    (decimal === "," && number.length - lastDot - 1 === 3)
+  ) {
+    number = number.split(".").join("");
+  }
+
+  const amount = parseFloat(number);
+  return Number.isFinite(amount) ? amount : null;
+}
+
+// Normalizes a raw price string into a typed price record.
+// The original text is kept in `priceText` so nothing is lost. Options
+// usually come from priceOptionsForUrl in url.utils.js.
+export function parsePrice(text, { defaultCurrency = null, decimal = "." } = {}) {
+  const raw = typeof text === "string" ? text.trim() : "";
+
+  return {
+    price: raw ? parseAmount(raw, decimal) : null,
+    currency: raw ? detectCurrency(raw, defaultCurrency) : defaultCurrency,
+    perTicket: !TOTAL_PATTERN.test(raw) || PER_TICKET_PATTERN.test(raw),
+    feesIncluded: FEES_INCLUDED_PATTERN.test(raw),
+    priceText: raw,
+  };
+}
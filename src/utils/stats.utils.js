@@ -0,0 +1,43 @@
+// Small numeric helpers shared by history, analytics and anomaly detection
+
+export function percentile(values, p) {
+  const sorted = values
+    .filter((v) => typeof v === "number" && Number.isFinite(v))
+    .sort((a, b) => a - b);
+  if (sorted.length === 0) return null;
+
+  // Linear interpolation between the closest ranks
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  const value = sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+  return Math.round(value * 100) / 100;
+}
+
+export const median = (values) => percentile(values, 50);
+
+export function summarize(values) {
+  const numbers = values.filter(
+    (v) => typeof v === "number" && Number.isFinite(v)
+  );
+  if (numbers.length === 0) {
+    return { min: null, median: null, max: null, count: 0 };
+  }
+  return {
+    min: Math.min(...numbers),
+    median: median(numbers),
+    max: Math.max(...numbers),
+    count: numbers.length,
+  };
+}
+
+// Median absolute deviation scaled to match a standard deviation for
+// normally distributed values, so it can stand in for one in z-scores
+export function mad(values) {
+  const center = median(values);
+  if (center === null) return null;
+  const deviations = values
+    .filter((v) => typeof v === "number" && Number.isFinite(v))
+    .map((v) => Math.abs(v - center));
+  return median(deviations) * 1.4826;
+}
@@ -0,0 +1,26 @@
+// Parsing helpers for query-string durations and timestamps
+
+const UNITS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000,
+};
+
+// "15m", "1h", "1d" -> milliseconds. Returns null for anything else.
+export function parseDuration(value) {
+  const match = String(value || "").trim().match(/^(\d+)\s*([smhdw])$/i);
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * UNITS[match[2].toLowerCase()];
+  return ms > 0 ? ms : null;
+}
+
+// Accepts ISO strings and epoch milliseconds. Returns null when invalid.
+export function parseTimestamp(value) {
+  if (value === undefined || value === null || value === "") return null;
+  const date = /^\d+$/.test(String(value))
+    ? new Date(Number(value))
+    : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,24 @@
+// Shared-secret tokens for the realtime channels (Socket.IO and SSE),
+// configured as a comma-separated SOCKET_TOKENS list
+import crypto from "crypto";
+
+export const TOKENS = (process.env.SOCKET_TOKENS || "")
+  .split(",")
+  .map((token) => token.trim())
+  .filter(Boolean);
+
+// "Bearer abc" -> "abc"
+export function bearerToken(authorization) {
+  return authorization?.match(/^Bearer\s+(.+)$/i)?.[1] || null;
+}
+
+export function isValidToken(token) {
+  if (!token) return false;
+  const given = Buffer.from(String(token));
+  return TOKENS.some((expected) => {
+    const buffer = Buffer.from(expected);
+    return (
+      buffer.length === given.length && crypto.timingSafeEqual(buffer, given)
+    );
+  });
+}
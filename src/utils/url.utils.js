@@ -0,0 +1,116 @@
+// Helpers for Ticketmaster and Live Nation event URLs
+
+// Sites that use the "/<slug>/event/<ID>" scheme, with the currency and
+// number format their prices are shown in
+export const SUPPORTED_DOMAINS = {
+  "ticketmaster.com": { currency: "USD", locale: "en-US" },
+  "ticketmaster.ca": { currency: "CAD", locale: "en-CA" },
+  "ticketmaster.co.uk": { currency: "GBP", locale: "en-GB" },
+  "ticketmaster.ie": { currency: "EUR", locale: "en-IE" },
+  "ticketmaster.com.au": { currency: "AUD", locale: "en-AU" },
+  "ticketmaster.co.nz": { currency: "NZD", locale: "en-NZ" },
+  "livenation.com": { currency: "USD", locale: "en-US" },
+};
+
+// Query parameters that only identify the referrer or campaign
+const TRACKING_PARAMS = new Set([
+  "gclid",
+  "dclid",
+  "fbclid",
+  "msclkid",
+  "ttclid",
+  "_ga",
+  "_gl",
+  "mc_cid",
+  "mc_eid",
+  "camefrom",
+  "brand",
+  "tm_link",
+  "irgwc",
+  "irclickid",
+  "clickid",
+  "affiliateid",
+  "ref",
+  "referrer",
+  "cid",
+]);
+
+const isTrackingParam = (name) =>
+  TRACKING_PARAMS.has(name.toLowerCase()) || /^utm_/i.test(name);
+
+const EVENT_PATH = /^(.*?\/event\/([A-Za-z0-9]+))(?:\/.*)?$/;
+
+function parseUrl(url) {
+  try {
+    return new URL(String(url).trim());
+  } catch {
+    return null;
+  }
+}
+
+function domainOfHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^www\./, "");
+  return Object.hasOwn(SUPPORTED_DOMAINS, host) ? host : null;
+}
+
+// "https://ticketmaster.ca/x/event/ABC/?utm_source=y#top" ->
+// { url: "https://www.ticketmaster.ca/x/event/ABC", domain, eventId }.
+// The event id is upper-cased so the same event pasted with a different case
+// is still found. Returns null for unsupported sites or URLs without an
+// event id.
+export function canonicalizeUrl(url) {
+  const parsed = parseUrl(url);
+  if (!parsed || !["http:", "https:"].includes(parsed.protocol)) return null;
+
+  const domain = domainOfHost(parsed.hostname);
+  const match = parsed.pathname.match(EVENT_PATH);
+  if (!domain || !match) return null;
+
+  const params = [...parsed.searchParams]
+    .filter(([name]) => !isTrackingParam(name))
+    .sort(([a], [b]) => a.localeCompare(b));
+  const query = new URLSearchParams(params).toString();
+
+  return {
+    url: `https://www.${domain}${match[1]}${query ? `?${query}` : ""}`,
+    domain,
+    eventId: match[2].toUpperCase(),
+  };
+}
+
+export function eventIdFromUrl(url) {
+  return String(url).match(/\/event\/([A-Za-z0-9]+)/)?.[1] || null;
+}
+
+// Options for parsePrice on pages from this URL. A "lang" parameter such as
+// "fr-ca" switches to that locale's decimal comma.
+export function priceOptionsForUrl(url) {
+  const parsed = parseUrl(url);
+  const domain = parsed && domainOfHost(parsed.hostname);
+  if (!domain) return {};
+
+  const { currency, locale } = SUPPORTED_DOMAINS[domain];
+  return {
+    defaultCurrency: currency,
+    decimal:
+      decimalSeparator(parsed.searchParams.get("lang")) ||
+      decimalSeparator(locale),
+  };
+}
+
+function decimalSeparator(locale) {
+  if (!locale) return null;
+  try {
+    return new Intl.NumberFormat(locale).format(1.5).includes(",") ? "," : ".";
+  } catch {
+    return null; // Not a valid locale tag
+  }
+}
+
+// Slugs end in the event date, e.g. ".../denver-colorado-09-07-2025/event/ID"
+export function eventDateFromUrl(url) {
+  const match = String(url).match(/-(\d{2})-(\d{2})-(\d{4})\/event\//);
+  if (!match) return null;
+  const date = new Date(Date.UTC(+match[3], +match[1] - 1, +match[2]));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
@@ -0,0 +1,47 @@
+// Replays a recorded fixture session through extraction and change
+// detection without a browser or network:
+//   node testReplay.js [eventId] [fixturesDir]
+//   SAMPLE0000000001 covers DOM listings, SAMPLE0000000002 offer payloads
+import {
+  buildResultFromSnapshot,
+  listSnapshots,
+  loadSnapshot,
+} from "./src/services/fixture.service.js";
+import { detectChanges } from "./src/services/changes.service.js";
+
+const eventId = process.argv[2] || "SAMPLE0000000001";
+const dir = process.argv[3] || "./fixtures";
+
+const snapshots = listSnapshots(eventId, dir);
+if (snapshots.length === 0) {
+  console.error(`No fixtures for ${eventId} in ${dir}`);
+  process.exit(1);
+}
+
+let previous = null;
+for (const name of snapshots) {
+  const result = buildResultFromSnapshot(
+    eventId,
+    loadSnapshot(eventId, name, dir)
+  );
+  console.log(`\n📼 ${name}: ${result.tickets.length} listings`);
+  for (const t of result.tickets) {
+    console.log(
+      `  ${t.listingId}  Sec ${t.section} Row ${t.row}  x${t.quantity}  ${t.price} ${t.currency}`
+    );
+  }
+  if (result.missingSelectors?.length) {
+    console.log(`  ⚠️ Missing selectors: ${result.missingSelectors.join(", ")}`);
+  }
+
+  if (result.incomplete) {
+    console.log("  ⚠️ Incomplete page, skipped for change detection");
+    continue;
+  }
+
+  const changes = detectChanges(previous, result.tickets);
+  for (const change of changes) {
+    console.log(`  ${change.type}`, JSON.stringify(change.details));
+  }
+  previous = result.tickets;
+}
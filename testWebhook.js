@@ -0,0 +1,87 @@
+// Sends webhook deliveries to a local receiver and checks the signature
+// header and the retry backoff. Needs MongoDB (MONGODB_URI), preferably a
+// scratch database since the retry sweep picks up any due delivery; the
+// webhook and its deliveries are removed afterwards:
+//   node testWebhook.js
+import "dotenv/config";
+import assert from "assert/strict";
+import http from "http";
+import mongoose from "mongoose";
+import Webhook from "./src/models/Webhook.js";
+import WebhookDelivery from "./src/models/WebhookDelivery.js";
+import {
+  SIGNATURE_HEADER,
+  TIMESTAMP_HEADER,
+  generateSecret,
+  retryDelay,
+  retryDueDeliveries,
+  sendTestDelivery,
+  signPayload,
+} from "./src/services/webhook.service.js";
+
+// Backoff doubles from 5 seconds and is capped at an hour
+assert.deepEqual([1, 2, 3, 4].map(retryDelay), [5000, 10000, 20000, 40000]);
+assert.equal(retryDelay(20), 60 * 60 * 1000);
+console.log("✅ Backoff schedule");
+
+const secret = generateSecret();
+const received = [];
+
+// Fails the first request so the delivery has to be retried
+const receiver = http.createServer((req, res) => {
+  let body = "";
+  req.on("data", (chunk) => (body += chunk));
+  req.on("end", () => {
+    const timestamp = req.headers[TIMESTAMP_HEADER.toLowerCase()];
+    received.push({
+      body: JSON.parse(body),
+      valid:
+        req.headers[SIGNATURE_HEADER.toLowerCase()] ===
+        signPayload(secret, timestamp, body),
+    });
+    res.writeHead(received.length === 1 ? 500 : 204).end();
+  });
+});
+
+await mongoose.connect(process.env.MONGODB_URI);
+await new Promise((resolve) => receiver.listen(0, resolve));
+
+const webhook = await Webhook.create({
+  url: `http://localhost:${receiver.address().port}/hook`,
+  secret,
+  events: ["changes"],
+});
+
+try {
+  const started = Date.now();
+  const first = await sendTestDelivery(webhook);
+  assert.equal(first.status, "pending");
+  assert.equal(first.attempts, 1);
+  assert.equal(first.responseStatus, 500);
+  const wait = first.nextAttemptAt.getTime() - started;
+  assert.ok(wait >= retryDelay(1) && wait < retryDelay(1) + 1000, `${wait}ms`);
+  console.log(`✅ Failed attempt scheduled again in ${wait}ms`);
+
+  // Skip the wait instead of sleeping through it
+  await WebhookDelivery.updateOne(
+    { _id: first._id },
+    { nextAttemptAt: new Date() }
+  );
+  await retryDueDeliveries();
+
+  const retried = await WebhookDelivery.findById(first._id);
+  assert.equal(retried.status, "success");
+  assert.equal(retried.attempts, 2);
+  assert.equal(received.length, 2);
+  assert.ok(
+    received.every((r) => r.valid),
+    "signature mismatch"
+  );
+  assert.equal(received[1].body.event, "ping");
+  console.log("✅ Retried delivery succeeded with a valid signature");
+} finally {
+  await WebhookDelivery.deleteMany({ webhook: webhook._id });
+  await webhook.deleteOne();
+  receiver.close();
+  await mongoose.disconnect();
+}